@@ -0,0 +1,171 @@
+// ====== ACCESSIBILITY ======
+// Color palettes (including colorblind-safe and high-contrast ones), shape
+// markers so snakes and fruit can be told apart without color, the reduced
+// motion option, and the screen reader announcements.
+// Uses the canvas and ctx globals from snake-snake-snake.js.
+
+// ====== COLOR PALETTES ======
+// A palette replaces the colors of the theme (see THEMES in snake-themes.js for
+// what each one is for) and keeps its shapes. The 'standard' setting uses the
+// theme's own colors.
+const PALETTES = {
+    // Colors from the Okabe-Ito set, which stay apart for the common kinds of
+    // color blindness. Blue against orange keeps the two players apart.
+    colorblind: {
+        name: 'Colorblind',
+        board: '#1a1a2e',
+        border: '#2a2a44',
+        leader: '#009e73',  // Bluish green: the only Okabe-Ito color nothing else uses
+        snakes: ['#e69f00', '#f0e442', '#cc79a7', '#ffffff', '#0072b2', '#d55e00'],
+        players: [
+            ['#56b4e9', '#0072b2', '#a6d8f5', '#3c8dbc'],  // Player 1: blues
+            ['#e69f00', '#d55e00', '#f0c060', '#b35900']   // Player 2: oranges
+        ],
+        fruits: { apple: '#d55e00', golden: '#f0e442', ice: '#56b4e9', shrink: '#cc79a7', ghost: '#ffffff' }
+    },
+    // Bright colors on black
+    highContrast: {
+        name: 'High Contrast',
+        board: '#000',
+        border: '#555',
+        leader: '#fff',
+        snakes: ['#ff0', '#0ff', '#f0f', '#0f0', '#f80', '#8af'],
+        players: [
+            ['#0ff', '#8ff', '#0cf', '#aff'],  // Player 1: cyans
+            ['#ff0', '#ff8', '#fc0', '#ffa']   // Player 2: yellows
+        ],
+        fruits: { apple: '#f00', golden: '#ff0', ice: '#0ff', shrink: '#f0f', ghost: '#fff' }
+    }
+};
+
+// The last theme and palette mixed together by getPalette()
+let mixedPalette = { theme: null, palette: null, colors: null };
+
+// The theme to draw with, with the picked palette's colors swapped in
+// The mix is kept until the theme or palette changes, so the same object comes
+// back every frame (the renderer redraws when it gets a different one)
+function getPalette() {
+    const theme = getTheme();
+    const palette = PALETTES[settings.palette];
+    if (!palette) return theme;
+    if (mixedPalette.theme !== theme || mixedPalette.palette !== palette) {
+        mixedPalette = { theme: theme, palette: palette, colors: Object.assign({}, theme, palette) };
+    }
+    return mixedPalette.colors;
+}
+
+// ====== SHAPE MARKERS ======
+// With the Shape Markers setting on, every snake segment and fruit gets a small
+// dark shape on it, so they can be told apart by shape as well as by color
+const SNAKE_MARKERS = ['dot', 'cross', 'bar', 'diamond', 'ring'];  // Single player, in turn (the leader gets 'ring')
+const PLAYER_MARKERS = ['dot', 'cross'];  // Versus: one shape per player
+const FRUIT_MARKERS = { apple: 'dot', golden: 'diamond', ice: 'cross', shrink: 'bar', ghost: 'ring' };
+
+// Draws a marker in the middle of the cell at (x, y) (size is the cell size in pixels)
+// onto the given 2D context (the screen unless it's one of the renderer's layers)
+function drawMarker(shape, x, y, size, context = ctx) {
+    const middleX = x + size / 2;
+    const middleY = y + size / 2;
+    const r = size / 4;
+
+    context.save();
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+    context.lineWidth = Math.max(1, size / 8);
+    context.beginPath();
+    switch (shape) {
+        case 'dot':
+            context.arc(middleX, middleY, r * 0.7, 0, Math.PI * 2);
+            context.fill();
+            break;
+        case 'ring':
+            context.arc(middleX, middleY, r, 0, Math.PI * 2);
+            context.stroke();
+            break;
+        case 'cross':
+            context.moveTo(middleX - r, middleY - r);
+            context.lineTo(middleX + r, middleY + r);
+            context.moveTo(middleX + r, middleY - r);
+            context.lineTo(middleX - r, middleY + r);
+            context.stroke();
+            break;
+        case 'bar':
+            context.moveTo(middleX - r, middleY);
+            context.lineTo(middleX + r, middleY);
+            context.stroke();
+            break;
+        case 'diamond':
+            context.moveTo(middleX, middleY - r);
+            context.lineTo(middleX + r, middleY);
+            context.lineTo(middleX, middleY + r);
+            context.lineTo(middleX - r, middleY);
+            context.closePath();
+            context.fill();
+            break;
+    }
+    context.restore();
+}
+
+// ====== REDUCED MOTION ======
+// The system's "reduce motion" choice (its matches property follows changes)
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+// True when blinking and fading should be left out: the Reduce Motion setting
+// is on, or it's on 'auto' and the system asks for less motion
+function isReducedMotion() {
+    if (settings.reducedMotion !== 'auto') return settings.reducedMotion === 'on';
+    return !!(reducedMotionQuery && reducedMotionQuery.matches);
+}
+
+// ====== SCREEN READER ANNOUNCEMENTS ======
+// The canvas can't be read by screen readers, so the big moments are written
+// into a hidden live region (#announcer in index.html), which reads them out:
+// the snake count changing, pausing and unpausing, a new game and game over.
+
+// What the game was like at the last announcement check, to notice changes
+// (updated in place, so checking every frame doesn't make a new object)
+const announced = { game: null, snakeCount: 0, paused: false, gameOver: false };
+
+// Reads a message out (each message is a new line in the region, so saying
+// the same thing twice is read out twice)
+function announce(text) {
+    const region = document.getElementById('announcer');
+    if (!region) return;
+    const line = document.createElement('p');
+    line.textContent = text;
+    region.replaceChildren(line);
+}
+
+// How many snakes there are, as words ("3 snakes", or each player's in versus)
+function describeSnakeCount(state) {
+    const count = n => `${n} ${n === 1 ? 'snake' : 'snakes'}`;
+    if (state.rules.players === 2) {
+        return getPlayerSnakeCounts(state).map((n, player) => `${PLAYER_NAMES[player]}: ${count(n)}`).join(', ');
+    }
+    return count(state.snakes.length);
+}
+
+// Compares the game with what was last announced and reads out what changed
+// Called once a frame from gameLoop()
+// (snakes are only ever added, so in versus a player's count can't change
+// without the total changing too)
+function updateAnnouncements() {
+    if (announced.game !== game) {
+        announce(`New game. ${describeSnakeCount(game)}`);
+    } else if (game.gameOver && !announced.gameOver) {
+        let result = 'Game over';
+        if (game.rules.players === 2) {
+            result = game.winner === null ? 'Draw' : `${PLAYER_NAMES[game.winner]} wins`;
+        }
+        announce(`${result}. ${describeCrash(game)}. ${describeSnakeCount(game)}`);
+    } else if (gamePaused !== announced.paused) {
+        announce(gamePaused ? 'Paused' : 'Unpaused');
+    } else if (game.snakes.length !== announced.snakeCount && !game.gameOver) {
+        announce(describeSnakeCount(game));
+    }
+
+    announced.game = game;
+    announced.snakeCount = game.snakes.length;
+    announced.paused = gamePaused;
+    announced.gameOver = game.gameOver;
+}
@@ -0,0 +1,175 @@
+// ====== SOUND ======
+// Sound effects and background music, made up on the spot with the Web Audio
+// API (oscillators and volume envelopes) - there are no sound files to download.
+// Browsers only let a page make sound after the player has pressed a key,
+// clicked or tapped, so nothing is set up until then (see unlockAudio).
+// Like the screen reader announcements, the sounds come from watching the game
+// change from frame to frame (see updateSounds), so replays have sound too.
+
+const VOLUME_LEVELS = [0, 0.25, 0.5, 0.75, 1];  // Choices for the volume settings
+
+// The music: one note of the bass line and one of the melody per step
+// (note numbers count semitones up from MUSIC_BASE_FREQUENCY, null is a rest)
+const MUSIC_BASE_FREQUENCY = 110;  // A2
+const MUSIC_BASS = [0, null, 0, null, 3, null, 5, null, 0, null, 0, null, 7, null, 5, 3];
+const MUSIC_MELODY = [12, 15, 17, 19, null, 17, 15, null, 12, 15, 19, 22, null, 19, 17, 15];
+const MUSIC_STEP_TIME = 0.2;  // Seconds per step at the starting speed with one snake
+const MUSIC_MIN_STEP_TIME = 0.08;  // The fastest the music gets
+const MUSIC_LOOKAHEAD = 0.1;  // How far ahead notes are scheduled (seconds)
+
+let audio = null;  // { context, master, sfx, music } once sound has started
+let musicStep = 0;  // Next step of the music to play
+let musicTime = 0;  // When that step plays (in audio context time)
+// What the game was like last frame (updated in place every frame)
+const heard = { game: null, fruitsEaten: 0, snakeCount: 0, speedTotal: 0, paused: false, gameOver: false };
+
+// ====== STARTING ======
+// Sets up the audio graph on the first key press, click or tap
+// Sounds go through their own volume (sfx or music) and then the master volume
+function unlockAudio() {
+    if (audio) {
+        // Some browsers suspend the context again when the tab is hidden
+        if (audio.context.state === 'suspended') audio.context.resume();
+        return;
+    }
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    const context = new AudioContextClass();
+    const master = context.createGain();
+    const sfx = context.createGain();
+    const music = context.createGain();
+    sfx.connect(master);
+    music.connect(master);
+    master.connect(context.destination);
+    audio = { context: context, master: master, sfx: sfx, music: music };
+    updateVolumes();
+    renderLog.info('Sound started');
+}
+
+// Sets the mixer to the volume settings (called when one of them changes)
+function updateVolumes() {
+    if (!audio) return;
+    audio.master.gain.value = settings.muted ? 0 : settings.masterVolume;
+    audio.sfx.gain.value = settings.sfxVolume;
+    audio.music.gain.value = settings.musicVolume;
+}
+
+// ====== SYNTHESIS ======
+// Plays one tone: a quick fade in, then a fade out over its length
+// tone: { frequency, endFrequency (slides to it), duration (s), type (oscillator wave),
+//         volume, delay (s from now), output (audio.sfx or audio.music) }
+function playTone(tone, time) {
+    const context = audio.context;
+    const start = time !== undefined ? time : context.currentTime + (tone.delay || 0);
+    const end = start + tone.duration;
+
+    const oscillator = context.createOscillator();
+    const envelope = context.createGain();
+    oscillator.type = tone.type || 'square';
+    oscillator.frequency.setValueAtTime(tone.frequency, start);
+    if (tone.endFrequency) {
+        oscillator.frequency.exponentialRampToValueAtTime(tone.endFrequency, end);
+    }
+    envelope.gain.setValueAtTime(0.0001, start);
+    envelope.gain.exponentialRampToValueAtTime(tone.volume || 0.2, start + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+
+    oscillator.connect(envelope);
+    envelope.connect(tone.output || audio.sfx);
+    oscillator.start(start);
+    oscillator.stop(end + 0.05);
+}
+
+// The sound effects, each a few tones
+const SOUNDS = {
+    eat: [{ frequency: 660, endFrequency: 990, duration: 0.08, type: 'square', volume: 0.15 }],
+    spawn: [
+        { frequency: 440, duration: 0.07, type: 'triangle', volume: 0.2, delay: 0.06 },
+        { frequency: 880, duration: 0.1, type: 'triangle', volume: 0.2, delay: 0.12 }
+    ],
+    speedUp: [{ frequency: 300, endFrequency: 1200, duration: 0.2, type: 'sawtooth', volume: 0.08 }],
+    pause: [{ frequency: 520, endFrequency: 260, duration: 0.15, type: 'sine', volume: 0.25 }],
+    resume: [{ frequency: 260, endFrequency: 520, duration: 0.15, type: 'sine', volume: 0.25 }],
+    gameOver: [
+        { frequency: 392, duration: 0.2, type: 'square', volume: 0.15 },
+        { frequency: 311, duration: 0.2, type: 'square', volume: 0.15, delay: 0.2 },
+        { frequency: 262, endFrequency: 131, duration: 0.6, type: 'square', volume: 0.15, delay: 0.4 }
+    ]
+};
+
+// Plays a sound effect by name (does nothing before sound has started)
+function playSound(name) {
+    if (!audio) return;
+    SOUNDS[name].forEach(tone => playTone(tone));
+}
+
+// ====== MUSIC ======
+// Seconds per music step: it gets faster the more snakes there are and the
+// faster they move on average
+function getMusicStepTime(state) {
+    const averageSpeed = getSpeedTotal(state, state.snakes.length) / state.snakes.length;
+    const crowd = Math.max(0.5, 1 - 0.03 * (state.snakes.length - 1));
+    return Math.max(MUSIC_MIN_STEP_TIME, MUSIC_STEP_TIME * (averageSpeed / SNAKE_SPEED) * crowd);
+}
+
+// Turns a music note number into a frequency
+function getNoteFrequency(note) {
+    return MUSIC_BASE_FREQUENCY * Math.pow(2, note / 12);
+}
+
+// Schedules the music steps that start within the next MUSIC_LOOKAHEAD seconds
+// (scheduling ahead keeps the beat steady even when a frame comes late)
+function scheduleMusic(state) {
+    const now = audio.context.currentTime;
+    if (musicTime < now) musicTime = now;  // Catch up after the music was stopped
+
+    const stepTime = getMusicStepTime(state);
+    while (musicTime < now + MUSIC_LOOKAHEAD) {
+        const bass = MUSIC_BASS[musicStep];
+        const melody = MUSIC_MELODY[musicStep];
+        if (bass !== null) {
+            playTone({ frequency: getNoteFrequency(bass), duration: stepTime * 1.8, type: 'triangle', volume: 0.3, output: audio.music }, musicTime);
+        }
+        if (melody !== null) {
+            playTone({ frequency: getNoteFrequency(melody), duration: stepTime * 0.9, type: 'square', volume: 0.06, output: audio.music }, musicTime);
+        }
+        musicStep = (musicStep + 1) % MUSIC_BASS.length;
+        musicTime += stepTime;
+    }
+}
+
+// ====== GAME EVENTS ======
+// Adds up the speeds of a game's first count snakes (a smaller total means one sped up)
+function getSpeedTotal(state, count) {
+    let total = 0;
+    for (let i = 0; i < count; i++) total += state.snakes[i].speed;
+    return total;
+}
+
+// Compares the game with last frame and plays a sound for what changed, and
+// keeps the music going while the game runs
+// Called once a frame from gameLoop()
+function updateSounds() {
+    if (audio && heard.game === game) {
+        if (game.gameOver && !heard.gameOver) {
+            playSound('gameOver');
+        } else if (gamePaused !== heard.paused) {
+            playSound(gamePaused ? 'pause' : 'resume');
+        } else {
+            if (game.fruitsEaten > heard.fruitsEaten) playSound('eat');
+            if (game.snakes.length > heard.snakeCount) playSound('spawn');
+            if (game.snakes.length >= heard.snakeCount && getSpeedTotal(game, heard.snakeCount) < heard.speedTotal) playSound('speedUp');
+        }
+    }
+    if (audio && !game.gameOver && !gamePaused && !(playback && playback.paused)) {
+        scheduleMusic(game);
+    }
+
+    heard.game = game;
+    heard.fruitsEaten = game.fruitsEaten;
+    heard.snakeCount = game.snakes.length;
+    heard.speedTotal = getSpeedTotal(game, game.snakes.length);
+    heard.paused = gamePaused;
+    heard.gameOver = game.gameOver;
+}
@@ -0,0 +1,254 @@
+// ====== CONTROLLERS ======
+// A controller decides which way a player's snakes should go.
+// Every tick it is handed a read-only snapshot of the game and returns a
+// direction ({ x, y }), or null to keep going the same way:
+//
+//   registerController('circler', {
+//       name: 'Circler',
+//       getDirection(snapshot, player) {
+//           const snake = snapshot.snakes.find(s => s.player === player);
+//           return snapshot.tick % 200 === 0 ? { x: -snake.direction.y, y: snake.direction.x } : null;
+//       }
+//   });
+//
+// The keyboard and touch controls are one controller (see snake-snake-snake.js)
+// and the autopilot bot below is another. Anything registered - even from the
+// browser console - can be picked in the Control setting.
+// Like snake-core.js, this file has no DOM code and also runs in Node.
+
+// Messages go to the 'input' logger (see snake-log.js): loaded with require()
+// in Node, already a global in the browser
+const controllerLog = typeof module !== 'undefined' && module.exports
+    ? require('./snake-log.js').inputLog
+    : inputLog;
+
+// Every registered controller, by id
+const controllers = {};
+
+// The four directions, in the order the autopilot tries them when it has no better idea
+const DIRECTIONS = [
+    { x: 0, y: -1 },
+    { x: 1, y: 0 },
+    { x: 0, y: 1 },
+    { x: -1, y: 0 }
+];
+
+// ====== REGISTRY ======
+// Adds a controller (or replaces the one with the same id)
+// controller: { name, getDirection(snapshot, player) } - name is shown in the settings
+function registerController(id, controller) {
+    if (!controller || typeof controller.getDirection !== 'function') {
+        throw new Error(`Controller "${id}" needs a getDirection(snapshot, player) function`);
+    }
+    controllers[id] = Object.assign({ name: id }, controller);
+    controllerLog.debug('Controller registered:', id);
+    return controllers[id];
+}
+
+// Finds a registered controller by id (null if there's no such controller)
+function getController(id) {
+    return controllers[id] || null;
+}
+
+// The ids of every registered controller, in the order they were registered
+function getControllerIds() {
+    return Object.keys(controllers);
+}
+
+// ====== SNAPSHOTS ======
+// Makes a frozen copy of what a controller may look at, so it can't change the game
+// snakes: [{ player, body, direction, pendingTurns, speed, protected }]
+// food: { x, y, type } or null
+// walls: array with a 1 for every wall cell (cell (x, y) is at y * gridWidth + x)
+// portals: [{ a: { x, y }, b: { x, y } }] - stepping on one end comes out of the other
+function createSnapshot(state) {
+    const copyCell = cell => Object.freeze({ x: cell.x, y: cell.y });
+    const level = state.rules.level;
+
+    return Object.freeze({
+        tick: state.tick,
+        gridWidth: state.gridWidth,
+        gridHeight: state.gridHeight,
+        mode: state.rules.mode,
+        players: state.rules.players,
+        snakes: Object.freeze(state.snakes.map(snake => Object.freeze({
+            player: snake.player,
+            body: Object.freeze(snake.body.map(copyCell)),
+            direction: copyCell(snake.direction),
+            pendingTurns: Object.freeze(snake.turnQueue.map(copyCell)),
+            speed: snake.speed,
+            protected: snake.protectedTicks > 0
+        }))),
+        food: state.food ? Object.freeze({ x: state.food.x, y: state.food.y, type: state.food.type }) : null,
+        walls: Object.freeze(Array.from(state.wallCells)),
+        portals: Object.freeze(level ? level.portals.map(portal => Object.freeze({
+            a: copyCell(portal.a),
+            b: copyCell(portal.b)
+        })) : []),
+        effects: Object.freeze(Object.assign({}, state.effects))
+    });
+}
+
+// ====== AUTOPILOT ======
+// Where a snake at (x, y) ends up after one move, wrapping around the edges
+// and going through portals the same way moveSnake does
+function getNextCell(snapshot, portalExits, x, y, direction) {
+    const next = {
+        x: (x + direction.x + snapshot.gridWidth) % snapshot.gridWidth,
+        y: (y + direction.y + snapshot.gridHeight) % snapshot.gridHeight
+    };
+    return portalExits[next.y * snapshot.gridWidth + next.x] || next;
+}
+
+// Marks every cell a snake can't safely move into: walls and snake bodies
+// (tails count too - a snake that eats this move doesn't move its tail away)
+function getBlockedCells(snapshot) {
+    const blocked = Uint8Array.from(snapshot.walls);
+    snapshot.snakes.forEach(snake => {
+        snake.body.forEach(segment => {
+            blocked[segment.y * snapshot.gridWidth + segment.x] = 1;
+        });
+    });
+    return blocked;
+}
+
+// Counts the free cells reachable from a cell (stops counting at limit)
+// Used to stay out of dead ends when there's no safe way to the food
+function countReachable(snapshot, portalExits, blocked, start, limit) {
+    const seen = new Uint8Array(blocked.length);
+    const queue = [start];
+    seen[start.y * snapshot.gridWidth + start.x] = 1;
+    let count = 0;
+
+    while (count < queue.length && count < limit) {
+        const cell = queue[count];
+        count++;
+        DIRECTIONS.forEach(direction => {
+            const next = getNextCell(snapshot, portalExits, cell.x, cell.y, direction);
+            const index = next.y * snapshot.gridWidth + next.x;
+            if (!blocked[index] && !seen[index]) {
+                seen[index] = 1;
+                queue.push(next);
+            }
+        });
+    }
+    return count;
+}
+
+// Finds the first move of the shortest path from a cell to the food
+// (breadth-first search over free cells), or null if the food can't be reached
+function findPathToFood(snapshot, portalExits, blocked, start, heading) {
+    const width = snapshot.gridWidth;
+    const firstMove = new Array(blocked.length).fill(null);
+    const seen = new Uint8Array(blocked.length);
+    const queue = [];
+    seen[start.y * width + start.x] = 1;
+
+    DIRECTIONS.forEach(direction => {
+        // A snake can't turn straight back into its own neck
+        if (direction.x === -heading.x && direction.y === -heading.y) return;
+        const next = getNextCell(snapshot, portalExits, start.x, start.y, direction);
+        const index = next.y * width + next.x;
+        if (blocked[index] || seen[index]) return;
+        seen[index] = 1;
+        firstMove[index] = direction;
+        queue.push(next);
+    });
+
+    for (let i = 0; i < queue.length; i++) {
+        const cell = queue[i];
+        const cellIndex = cell.y * width + cell.x;
+        if (cell.x === snapshot.food.x && cell.y === snapshot.food.y) {
+            return firstMove[cellIndex];
+        }
+        DIRECTIONS.forEach(direction => {
+            const next = getNextCell(snapshot, portalExits, cell.x, cell.y, direction);
+            const index = next.y * width + next.x;
+            if (blocked[index] || seen[index]) return;
+            seen[index] = 1;
+            firstMove[index] = firstMove[cellIndex];
+            queue.push(next);
+        });
+    }
+    return null;
+}
+
+// The built-in bot: heads for the food along the shortest free path.
+// Every snake of a player turns together, so a direction is only used if it's
+// safe for all of them. If there's no safe path to the food, it goes wherever
+// leaves the most room to move.
+const autopilot = {
+    name: 'Autopilot',
+    getDirection(snapshot, player) {
+        const snakes = snapshot.snakes.filter(snake => snake.player === player);
+        if (snakes.length === 0) return null;
+
+        // Wait until the last decision has been used before making another
+        if (snakes.some(snake => snake.pendingTurns.length > 0)) return null;
+
+        const portalExits = {};
+        snapshot.portals.forEach(portal => {
+            portalExits[portal.a.y * snapshot.gridWidth + portal.a.x] = portal.b;
+            portalExits[portal.b.y * snapshot.gridWidth + portal.b.x] = portal.a;
+        });
+        const blocked = getBlockedCells(snapshot);
+
+        // Checks a direction for every snake of the player: the cell it moves into
+        // has to be free, and with lookAhead there must be a free cell after that too
+        // (a snake heading the opposite way ignores the turn and keeps going straight)
+        const isSafe = (direction, lookAhead) => snakes.every(snake => {
+            const reverse = direction.x === -snake.direction.x && direction.y === -snake.direction.y;
+            const heading = reverse ? snake.direction : direction;
+            const head = snake.body[0];
+            const next = getNextCell(snapshot, portalExits, head.x, head.y, heading);
+            if (blocked[next.y * snapshot.gridWidth + next.x]) return false;
+            if (!lookAhead) return true;
+
+            return DIRECTIONS.some(after => {
+                if (after.x === -heading.x && after.y === -heading.y) return false;
+                const cell = getNextCell(snapshot, portalExits, next.x, next.y, after);
+                return !blocked[cell.y * snapshot.gridWidth + cell.x];
+            });
+        });
+
+        // Directions that don't run any of the player's snakes into something,
+        // preferring ones that don't lead any of them into a dead end either
+        let safe = DIRECTIONS.filter(direction => isSafe(direction, true));
+        if (safe.length === 0) safe = DIRECTIONS.filter(direction => isSafe(direction, false));
+
+        // The first (oldest) snake leads the way to the food
+        const leader = snakes[0];
+        const head = leader.body[0];
+        if (snapshot.food) {
+            const toFood = findPathToFood(snapshot, portalExits, blocked, head, leader.direction);
+            if (toFood && safe.includes(toFood)) return toFood;
+        }
+
+        // No safe way to the food - pick the safe direction with the most room
+        let best = null;
+        let bestRoom = -1;
+        const limit = snapshot.gridWidth * snapshot.gridHeight;
+        safe.forEach(direction => {
+            if (direction.x === -leader.direction.x && direction.y === -leader.direction.y) return;
+            const next = getNextCell(snapshot, portalExits, head.x, head.y, direction);
+            const room = countReachable(snapshot, portalExits, blocked, next, limit);
+            if (room > bestRoom) {
+                best = direction;
+                bestRoom = room;
+            }
+        });
+        return best;
+    }
+};
+
+registerController('autopilot', autopilot);
+
+// ====== EXPORTS ======
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        registerController,
+        getController,
+        getControllerIds,
+        createSnapshot
+    };
+}
@@ -0,0 +1,960 @@
+// ====== SNAKE CORE ======
+// The rules of the game, with no canvas or DOM code in here.
+// Everything the rules need lives in one "state" object that is passed
+// to each function, so this file runs both in the browser (as a plain
+// <script>) and in Node (through require) where it can be unit-tested.
+
+// Messages go to the 'sim' logger (see snake-log.js): loaded with require()
+// in Node, already a global in the browser
+const coreLog = typeof module !== 'undefined' && module.exports
+    ? require('./snake-log.js').simLog
+    : simLog;
+
+// ====== GAME CONSTANTS ======
+// SNAKE_SPEED: Time between snake movements in milliseconds
+// Lower number = faster snake (150 means snake moves about 6-7 times per second)
+const SNAKE_SPEED = 150;
+
+// MIN_SNAKE_SPEED: The fastest a snake can ever get (smallest delay in ms)
+const MIN_SNAKE_SPEED = 50;
+
+// SPEED_STEP: How many milliseconds faster a snake gets for each fruit
+const SPEED_STEP = 5;
+
+// MAX_QUEUED_TURNS: How many turns each snake remembers ahead of time
+const MAX_QUEUED_TURNS = 3;
+
+// BORDER_WIDTH: How many cells wide the border around the grid is
+// In "walls" mode the border is solid and running into it ends the game
+const BORDER_WIDTH = 2;
+
+// GAME_MODES: The ways the grid edges can work
+// classic: Snakes wrap around from one edge to the opposite one
+// walls: The border is a wall, hitting it is game over
+const GAME_MODES = ['classic', 'walls'];
+
+// FRUIT_TYPES: Every kind of fruit, and what happens when a snake eats one
+// weight: How likely this fruit is to be the next one, compared to the others
+// lifetime: How long (ms) the fruit stays before it rots away (0 = until eaten)
+// points: Added to the score when eaten
+// grow, spawnSnake, speedUp: The classic apple effects
+// shrink: How many segments the snake that ate it loses (it never gets shorter than 3)
+// effect, duration: A timed effect on every snake (slow or ghost), and how long it lasts (ms)
+const FRUIT_TYPES = {
+    apple: { weight: 20, lifetime: 0, points: 1, grow: true, spawnSnake: true, speedUp: true },
+    golden: { weight: 3, lifetime: 6000, points: 5 },
+    ice: { weight: 3, lifetime: 8000, points: 1, effect: 'slow', duration: 5000 },
+    shrink: { weight: 3, lifetime: 8000, points: 1, shrink: 3 },
+    ghost: { weight: 2, lifetime: 6000, points: 1, effect: 'ghost', duration: 4000 }
+};
+
+// FRUIT_NAMES: The fruit types in a fixed order (used when picking one at random)
+const FRUIT_NAMES = Object.keys(FRUIT_TYPES);
+
+// SLOW_FACTOR: How many times longer each move takes while the slow effect is on
+const SLOW_FACTOR = 2;
+
+// MIN_SNAKE_LENGTH: Shrink fruit never makes a snake shorter than this
+const MIN_SNAKE_LENGTH = 3;
+
+// MAX_PLAYERS: How many players can share one keyboard (versus mode)
+const MAX_PLAYERS = 2;
+
+// DEFAULT_RULES: Rule settings used when a game isn't given its own
+// mode: One of GAME_MODES
+// players: 1, or 2 for versus - each player steers their own family of snakes
+// level: A level from parseLevel, or null for an empty grid
+// fruits: Names of the FRUIT_TYPES that can appear (apples only if the list is empty)
+// speedIncrease: Snakes get faster with each fruit eaten
+// individualSpeeds: Only the snake that ate speeds up (instead of all of them)
+// spawnClearance: How many cells in front of each snake's head new snakes stay out of
+// spawnProtection: How long (ms) a new snake can't cause a collision (0 = off)
+const DEFAULT_RULES = {
+    mode: 'classic',
+    players: 1,
+    level: null,
+    fruits: FRUIT_NAMES,
+    speedIncrease: true,
+    individualSpeeds: true,
+    spawnClearance: 5,
+    spawnProtection: 0
+};
+
+// TICK_MS: Length of one simulation step in milliseconds
+// The game always advances in steps of exactly this size, no matter how
+// fast the screen refreshes, so speeds mean the same thing on every device
+const TICK_MS = 10;
+
+// ====== RANDOM NUMBERS ======
+// Every random decision in the game goes through a seeded generator
+// (mulberry32), so the same seed always plays out the same way.
+// The generator's position is kept in state.rngState as a plain number.
+
+// Picks a fresh seed for games that weren't given one
+function randomSeed() {
+    return Math.floor(Math.random() * 1000000);
+}
+
+// Returns a random number between 0 (inclusive) and 1 (exclusive)
+function nextRandom(state) {
+    state.rngState = (state.rngState + 0x6D2B79F5) >>> 0;
+    let t = state.rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Returns a random whole number from 0 up to (but not including) max
+function randomInt(state, max) {
+    return Math.floor(nextRandom(state) * max);
+}
+
+// Picks one of the numbers from 0 up to count for which matches(number) is true,
+// at random - without making a list of them: it counts the matches, rolls one
+// random number and walks to that match. Returns -1 (and rolls nothing) if none match
+function randomMatch(state, count, matches) {
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+        if (matches(i)) total++;
+    }
+    if (total === 0) return -1;
+
+    let pick = randomInt(state, total);
+    for (let i = 0; i < count; i++) {
+        if (!matches(i)) continue;
+        if (pick === 0) return i;
+        pick--;
+    }
+    return -1;
+}
+
+// ====== LEVELS ======
+// Levels are written as plain text (the built-in ones are in snake-levels.js), one character per cell:
+//   #          Wall
+//   . (space)  Floor
+//   > < ^ v    Where the first snake starts, and which way it's heading
+//              (its body trails behind the head, so leave room for it)
+//   *          Spawn point - new snakes appear here when there's room
+//   %          Food zone - food appears in these cells when there's room
+//   0-9        Portal - the two cells with the same digit are linked
+// Lines starting with ; are comments, and "; name: My Level" names the level.
+// Short lines are padded with floor to the width of the longest one.
+
+const LEVEL_DIRECTIONS = {
+    '>': { x: 1, y: 0 },
+    '<': { x: -1, y: 0 },
+    '^': { x: 0, y: -1 },
+    'v': { x: 0, y: 1 }
+};
+
+// Turns level text into a level object (plain data, so it can be saved in replays)
+// Throws an Error explaining what's wrong if the text isn't a valid level
+function parseLevel(text, defaultName = 'Untitled') {
+    let name = defaultName;
+    const rows = [];
+    String(text).replace(/\r/g, '').split('\n').forEach(line => {
+        if (line.startsWith(';')) {
+            const match = line.match(/^;\s*name:\s*(.+)$/i);
+            if (match) name = match[1].trim();
+            return;
+        }
+        rows.push(line.replace(/\s+$/, ''));
+    });
+
+    // Ignore blank lines at the end of the file
+    while (rows.length > 0 && rows[rows.length - 1] === '') rows.pop();
+
+    const width = Math.max(0, ...rows.map(row => row.length));
+    const height = rows.length;
+    if (width < 3 || height < 3) {
+        throw new Error('Level must be at least 3 cells wide and 3 cells tall');
+    }
+
+    const level = { name, width, height, walls: [], start: null, spawnPoints: [], foodZones: [], portals: [] };
+    const portalCells = {};
+    let floorCount = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const tile = rows[y][x] || '.';
+            if (tile === '#') {
+                level.walls.push(y * width + x);
+                continue;
+            }
+            floorCount++;
+
+            if (LEVEL_DIRECTIONS[tile]) {
+                if (level.start) {
+                    throw new Error(`Level has more than one start (row ${y + 1})`);
+                }
+                level.start = { x, y, direction: LEVEL_DIRECTIONS[tile] };
+            } else if (tile === '*') {
+                level.spawnPoints.push({ x, y });
+            } else if (tile === '%') {
+                level.foodZones.push({ x, y });
+            } else if (tile >= '0' && tile <= '9') {
+                portalCells[tile] = portalCells[tile] || [];
+                portalCells[tile].push({ x, y });
+            } else if (tile !== '.' && tile !== ' ') {
+                throw new Error(`Unknown level tile "${tile}" (row ${y + 1})`);
+            }
+        }
+    }
+
+    if (floorCount === 0) {
+        throw new Error('Level has no floor');
+    }
+
+    Object.keys(portalCells).sort().forEach(digit => {
+        const cells = portalCells[digit];
+        if (cells.length !== 2) {
+            throw new Error(`Portal ${digit} needs exactly 2 cells, found ${cells.length}`);
+        }
+        level.portals.push({ a: cells[0], b: cells[1] });
+    });
+
+    // The starting snake's body has to fit on plain floor behind its head
+    if (level.start) {
+        for (let i = 1; i < 3; i++) {
+            const x = level.start.x - i * level.start.direction.x;
+            const y = level.start.y - i * level.start.direction.y;
+            const tile = y >= 0 && y < height ? rows[y][x] || '.' : '#';
+            if (x < 0 || x >= width || !'. *%'.includes(tile)) {
+                throw new Error('The start needs 2 free cells behind it for the snake\'s body');
+            }
+        }
+    }
+
+    return level;
+}
+
+// Turns a level object back into level text (the opposite of parseLevel)
+// Portal pairs are numbered from 0 in order, so there can be at most 10
+function levelToText(level) {
+    const tiles = new Array(level.width * level.height).fill('.');
+    const setTile = (cell, tile) => {
+        tiles[cell.y * level.width + cell.x] = tile;
+    };
+
+    level.walls.forEach(index => {
+        tiles[index] = '#';
+    });
+    level.spawnPoints.forEach(point => setTile(point, '*'));
+    level.foodZones.forEach(cell => setTile(cell, '%'));
+    level.portals.forEach((portal, index) => {
+        setTile(portal.a, String(index));
+        setTile(portal.b, String(index));
+    });
+    if (level.start) {
+        const tile = Object.keys(LEVEL_DIRECTIONS).find(key =>
+            LEVEL_DIRECTIONS[key].x === level.start.direction.x &&
+            LEVEL_DIRECTIONS[key].y === level.start.direction.y);
+        setTile(level.start, tile);
+    }
+
+    const lines = [`; name: ${level.name}`];
+    for (let y = 0; y < level.height; y++) {
+        lines.push(tiles.slice(y * level.width, (y + 1) * level.width).join(''));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Works out which cells are walls and where portals lead for a new game
+// Walls come from the level plus, in "walls" mode, the border
+function buildLevelGeometry(state) {
+    const width = state.gridWidth;
+    const level = state.rules.level;
+
+    state.wallCells = new Uint8Array(width * state.gridHeight);
+    state.portalExits = {};  // Cell index -> the cell its portal leads to
+
+    if (state.rules.mode === 'walls') {
+        for (let y = 0; y < state.gridHeight; y++) {
+            for (let x = 0; x < width; x++) {
+                if (x < BORDER_WIDTH || x >= width - BORDER_WIDTH ||
+                    y < BORDER_WIDTH || y >= state.gridHeight - BORDER_WIDTH) {
+                    state.wallCells[y * width + x] = 1;
+                }
+            }
+        }
+    }
+
+    if (level) {
+        level.walls.forEach(index => {
+            state.wallCells[index] = 1;
+        });
+        level.portals.forEach(portal => {
+            state.portalExits[portal.a.y * width + portal.a.x] = portal.b;
+            state.portalExits[portal.b.y * width + portal.b.x] = portal.a;
+        });
+    }
+}
+
+// ====== GAME STATE ======
+// Creates a brand new game on a grid of the given size
+// options: { gridWidth, gridHeight, seed } plus any of the DEFAULT_RULES settings
+// A level brings its own grid size, so gridWidth and gridHeight are ignored then
+// Throws an Error if the grid is too small for both versus players to start
+function createGameState(options) {
+    const seed = options.seed !== undefined ? options.seed >>> 0 : randomSeed();
+    const rules = getRules(options);
+    const state = {
+        // How many cells the playing field has in each direction
+        gridWidth: rules.level ? rules.level.width : options.gridWidth,
+        gridHeight: rules.level ? rules.level.height : options.gridHeight,
+        // Rule settings are copied in so a running game can't change under us
+        rules: rules,
+        seed: seed,  // Seed the random generator started from
+        rngState: seed,  // Current position of the random generator
+        snakes: [],  // Array to store multiple snakes
+        food: null,  // Will store the food's position, type and when it rots
+        points: 0,  // Points from eaten fruit
+        fruitsEaten: 0,  // How many fruits have been eaten
+        // Ticks left of each timed fruit effect (0 = off)
+        effects: { slow: 0, ghost: 0 },
+        gameOver: false,  // Game state flag
+        winner: null,  // In versus: the player who won, or null for a draw (set on game over)
+        crashes: [],  // What ended the game, one report per crashed snake (see getCrashes)
+        tick: 0  // How many times step() has run
+    };
+
+    buildLevelGeometry(state);
+
+    // Which snakes cover each cell (see OCCUPANCY GRID), and how many heads
+    // each cell is just in front of (only filled in while findSpawnPosition works)
+    const cellCount = state.gridWidth * state.gridHeight;
+    state.occupancy = [];
+    for (let index = 0; index < cellCount; index++) state.occupancy.push([]);
+    state.aheadOfHeads = new Uint16Array(cellCount);
+
+    // Create the first snake at the level's start (or the center of the grid), then the food
+    // In versus the players start a third of the way in from each side, facing
+    // each other (on a level, player two goes wherever it's safe)
+    const start = rules.level && rules.level.start;
+    const middleY = Math.floor(state.gridHeight / 2);
+    if (start) {
+        addSnake(state, createSnake(start.x, start.y, start.direction));
+        if (rules.players === 2) {
+            const second = spawnSnake(state, { x: -start.direction.x, y: -start.direction.y }, 1);
+            if (second) second.protectedTicks = 0;  // Both players start on equal terms
+        }
+    } else if (rules.players === 2) {
+        const first = createSnake(Math.floor(state.gridWidth / 3), middleY, { x: 1, y: 0 }, 0);
+        const second = createSnake(Math.floor(state.gridWidth * 2 / 3), middleY, { x: -1, y: 0 }, 1);
+        // On a narrow grid (or inside the border in "walls" mode) the bodies
+        // would hang off the edge or sit in the wall, like a level start without room
+        if (!isOnFloor(state, first) || !isOnFloor(state, second)) {
+            throw new Error(`The ${state.gridWidth}x${state.gridHeight} grid is too small for both versus players to start`);
+        }
+        addSnake(state, first);
+        addSnake(state, second);
+    } else {
+        addSnake(state, createSnake(Math.floor(state.gridWidth / 2), middleY));
+    }
+    state.food = generateFood(state);
+
+    return state;
+}
+
+// Makes a copy of a game that can be stepped on its own without changing the
+// original (the instant replay keeps a few to rewind to)
+// The rules, walls and portals never change during a game, so they're shared
+function copyGameState(state) {
+    const copy = Object.assign({}, state);
+    copy.snakes = state.snakes.map(snake => Object.assign({}, snake, {
+        body: snake.body.map(segment => ({ x: segment.x, y: segment.y })),
+        direction: { x: snake.direction.x, y: snake.direction.y },
+        turnQueue: snake.turnQueue.map(turn => ({ x: turn.x, y: turn.y }))
+    }));
+    copy.food = state.food && Object.assign({}, state.food);
+    copy.effects = Object.assign({}, state.effects);
+    copy.crashes = state.crashes.map(crash => Object.assign({}, crash));
+    copy.occupancy = state.occupancy.map(owners => owners.slice());
+    copy.aheadOfHeads = new Uint16Array(state.aheadOfHeads.length);
+    return copy;
+}
+
+// True if every segment of a snake is on the grid and not in a wall
+function isOnFloor(state, snake) {
+    return snake.body.every(segment =>
+        segment.x >= 0 && segment.x < state.gridWidth &&
+        segment.y >= 0 && segment.y < state.gridHeight &&
+        !isWall(state, segment.x, segment.y));
+}
+
+// Picks the rule settings out of an options object, filling in defaults
+function getRules(options) {
+    const rules = {};
+    Object.keys(DEFAULT_RULES).forEach(name => {
+        rules[name] = options[name] !== undefined ? options[name] : DEFAULT_RULES[name];
+    });
+    return rules;
+}
+
+// ====== SAFE PLACEMENT ======
+// Food and new snakes only ever go on free cells, and new snakes also stay
+// out of the cells other snakes are about to move into.
+// Cells are kept in flat arrays: the cell at (x, y) is at index y * gridWidth + x.
+// Nothing here copies the grid - each cell is looked at where it is.
+
+// Checks if a cell is a wall (from the level, or the border in "walls" mode)
+function isWall(state, x, y) {
+    return state.wallCells[y * state.gridWidth + x] === 1;
+}
+
+// True if the cell at this index is covered by a snake or a wall
+// Portal cells count as taken too - anything placed there would be unreachable
+function isCellTaken(state, index) {
+    return state.wallCells[index] === 1 ||
+        state.occupancy[index].length > 0 ||
+        state.portalExits[index] !== undefined;
+}
+
+// Checks that the cells in front of (x, y) are free of snakes and walls for the given distance
+// (wrapping around the edges, the same way snakes move)
+function isPathClear(state, x, y, direction, distance) {
+    for (let i = 1; i <= distance; i++) {
+        const cellX = ((x + direction.x * i) % state.gridWidth + state.gridWidth) % state.gridWidth;
+        const cellY = ((y + direction.y * i) % state.gridHeight + state.gridHeight) % state.gridHeight;
+        if (isCellTaken(state, cellY * state.gridWidth + cellX)) return false;
+    }
+    return true;
+}
+
+// Counts (change = 1) or uncounts (change = -1) the cells each snake's head
+// is about to move into, up to `distance` cells ahead, in state.aheadOfHeads
+function markCellsAhead(state, distance, change) {
+    state.snakes.forEach(snake => {
+        const head = snake.body[0];
+        for (let i = 1; i <= distance; i++) {
+            const cellX = ((head.x + snake.direction.x * i) % state.gridWidth + state.gridWidth) % state.gridWidth;
+            const cellY = ((head.y + snake.direction.y * i) % state.gridHeight + state.gridHeight) % state.gridHeight;
+            state.aheadOfHeads[cellY * state.gridWidth + cellX] += change;
+        }
+    });
+}
+
+// True if a new 3-cell snake heading in the given direction fits with its head at (x, y):
+// its body is on the grid, on free cells that aren't the food or in front of
+// another head (see markCellsAhead), and nothing is in its own way for `clearance` cells
+function canSpawnAt(state, x, y, direction, clearance) {
+    // The whole body has to fit on the grid behind the head
+    const tailX = x - 2 * direction.x;
+    const tailY = y - 2 * direction.y;
+    if (tailX < 0 || tailX >= state.gridWidth || tailY < 0 || tailY >= state.gridHeight) return false;
+
+    const food = state.food;
+    for (let i = 0; i < 3; i++) {
+        const cellX = x - i * direction.x;
+        const cellY = y - i * direction.y;
+        const index = cellY * state.gridWidth + cellX;
+        if (isCellTaken(state, index) || state.aheadOfHeads[index] > 0) return false;
+        if (food && food.x === cellX && food.y === cellY) return false;
+    }
+
+    return isPathClear(state, x, y, direction, clearance);
+}
+
+// Finds where a new 3-cell snake heading in the given direction can go
+// Its body must sit on free cells (not on the food either), and it must stay
+// `clearance` cells away from the front of every other snake's head and
+// from anything in its own way. If the level has spawn points the head goes
+// on one of them, unless `anywhere` is set. Returns { x, y } for the head, or null if nothing fits.
+function findSpawnPosition(state, direction, clearance, anywhere = false) {
+    markCellsAhead(state, clearance, 1);
+
+    // Every cell could hold the head, unless the level says where snakes spawn
+    const spawnPoints = state.rules.level && !anywhere ? state.rules.level.spawnPoints : [];
+    let position = null;
+    if (spawnPoints.length > 0) {
+        const pick = randomMatch(state, spawnPoints.length,
+            i => canSpawnAt(state, spawnPoints[i].x, spawnPoints[i].y, direction, clearance));
+        if (pick !== -1) position = { x: spawnPoints[pick].x, y: spawnPoints[pick].y };
+    } else {
+        const width = state.gridWidth;
+        const pick = randomMatch(state, width * state.gridHeight,
+            index => canSpawnAt(state, index % width, Math.floor(index / width), direction, clearance));
+        if (pick !== -1) position = { x: pick % width, y: Math.floor(pick / width) };
+    }
+
+    markCellsAhead(state, clearance, -1);
+    return position;
+}
+
+// ====== FOOD GENERATION ======
+// Picks the type of the next fruit, using the weights in FRUIT_TYPES
+// Only fruit turned on in the rules can be picked
+function pickFruitType(state) {
+    const names = FRUIT_NAMES.filter(name => state.rules.fruits.includes(name));
+    if (names.length === 0) return 'apple';
+
+    const totalWeight = names.reduce((total, name) => total + FRUIT_TYPES[name].weight, 0);
+    let roll = randomInt(state, totalWeight);
+    for (const name of names) {
+        roll -= FRUIT_TYPES[name].weight;
+        if (roll < 0) return name;
+    }
+    return names[names.length - 1];
+}
+
+// Creates new food at a random free position in the grid
+// If the level has food zones, a free zone cell is picked when there is one
+// Returns { x, y, type, rotTick } (rotTick is the tick it rots on, 0 = never),
+// or null if snakes cover every cell
+function generateFood(state) {
+    const width = state.gridWidth;
+    const foodZones = state.rules.level ? state.rules.level.foodZones : [];
+    const zoneIndex = i => foodZones[i].y * width + foodZones[i].x;
+
+    let index = -1;
+    const zone = randomMatch(state, foodZones.length, i => !isCellTaken(state, zoneIndex(i)));
+    if (zone !== -1) {
+        index = zoneIndex(zone);
+    } else {
+        index = randomMatch(state, width * state.gridHeight, i => !isCellTaken(state, i));
+    }
+    if (index === -1) return null;
+
+    const type = pickFruitType(state);
+    const lifetime = FRUIT_TYPES[type].lifetime;
+    return {
+        x: index % state.gridWidth,
+        y: Math.floor(index / state.gridWidth),
+        type: type,
+        rotTick: lifetime > 0 ? state.tick + Math.round(lifetime / TICK_MS) : 0
+    };
+}
+
+// ====== SNAKE SPAWNING ======
+// Adds a new snake heading in the given direction at a safe position
+// If nothing fits with the full clearance, any free spot will do -
+// first on the level's spawn points, then anywhere on the grid
+// Returns the new snake, or null if there was no room at all
+// player: Which player's family the new snake joins (versus mode)
+function spawnSnake(state, direction, player = 0) {
+    const position = findSpawnPosition(state, direction, state.rules.spawnClearance) ||
+        findSpawnPosition(state, direction, 0) ||
+        findSpawnPosition(state, direction, 0, true);
+    if (!position) return null;
+
+    const snake = createSnake(position.x, position.y, direction, player);
+    // Newly spawned snakes can't cause a collision for a short while
+    snake.protectedTicks = Math.round(state.rules.spawnProtection / TICK_MS);
+    addSnake(state, snake);
+    return snake;
+}
+
+// ====== OCCUPANCY GRID ======
+// state.occupancy lists which snakes cover each cell (the cell at (x, y) is at
+// index y * gridWidth + x): the index of a snake in state.snakes, once for each
+// of its segments on the cell. It's kept up to date as snakes move, grow and
+// shrink, so "what's here?" is answered from the cell's own list instead of a
+// search through every segment of every snake. A list only has more than one
+// entry where snakes overlap (a crash, spawn protection or the ghost effect).
+// The lists are made once with the game and reused, so moving makes no new arrays.
+// Segments of protected snakes are listed too - findSnakeAt skips them.
+
+// Lists a snake's segment as covering its cell
+function occupyCell(state, snake, cell) {
+    state.occupancy[cell.y * state.gridWidth + cell.x].push(snake.index);
+}
+
+// Takes a snake's segment that's gone off its cell out of the cell's list
+// (the last entry is moved into its place - the order doesn't matter)
+function leaveCell(state, snake, cell) {
+    const owners = state.occupancy[cell.y * state.gridWidth + cell.x];
+    owners[owners.indexOf(snake.index)] = owners[owners.length - 1];
+    owners.pop();
+}
+
+// Puts a snake into the game, covering its cells
+// (every snake has to be added this way so the occupancy grid stays right)
+function addSnake(state, snake) {
+    snake.index = state.snakes.length;
+    state.snakes.push(snake);
+    snake.body.forEach(segment => occupyCell(state, snake, segment));
+}
+
+// Takes every snake out of the game and empties the grid
+// (for setting a game up by hand, like the tests and the benchmark do)
+function clearSnakes(state) {
+    state.snakes = [];
+    state.occupancy.forEach(owners => {
+        owners.length = 0;
+    });
+}
+
+// ====== SNAKE INITIALIZATION ======
+// Creates a new snake at the specified position
+// player: Which player steers it (always 0 unless playing versus)
+function createSnake(startX, startY, direction = { x: 1, y: 0 }, player = 0) {
+    return {
+        // Which player this snake belongs to
+        player: player,
+        // body: Array of segments, each with x,y coordinates
+        // First segment (index 0) is the head
+        body: [
+            { x: startX, y: startY },           // Head
+            { x: startX - direction.x, y: startY - direction.y },     // Body
+            { x: startX - 2 * direction.x, y: startY - 2 * direction.y }  // Tail
+        ],
+        // Direction: moving in specified direction
+        direction: direction,
+        // Turns waiting to be made, oldest first (one is used per movement step)
+        turnQueue: [],
+        // growing: true when snake eats food, false otherwise
+        growing: false,
+        // Individual speed for this snake
+        speed: SNAKE_SPEED,
+        // Time accumulator for individual timing
+        deltaTime: 0,
+        // Ticks left of spawn protection (can't cause a collision while above 0)
+        protectedTicks: 0,
+        // Where it is in state.snakes (set when it's added, see addSnake)
+        index: -1
+    };
+}
+
+// ====== COLLISION DETECTION ======
+// All snakes that move in a tick move at the same time, and collisions are
+// checked once they all have. That settles the moves that happen together:
+// - Tail-chasing: a cell a tail leaves this tick is free, so a head can move
+//   into it (its own tail too). A tail that stays put - its snake didn't move
+//   this tick, or is growing - is still in the way.
+// - Head to head: two heads moving into the same cell both crash.
+// - Head-on pass: two heads swapping cells both crash - each one lands on
+//   the other's neck, so they can't slip past each other.
+// Snakes with spawn protection can't crash or be crashed into, nobody crashes
+// into a snake while the ghost effect is on, and walls are deadly for everyone.
+
+// Finds the snake with a segment on (x, y), skipping protected snakes
+// Returns the index of the first one, or -1 if the cell is free
+// Only the cell's own list in the occupancy grid is looked at. The excluded
+// segment (a snake's head, so it doesn't count as hitting itself) is one of
+// its snake's entries there, so one of those is skipped.
+function findSnakeAt(state, x, y, excludeSnakeIndex = -1, excludeHeadIndex = -1) {
+    const owners = state.occupancy[y * state.gridWidth + x];
+    let skip = -1;
+    if (excludeSnakeIndex >= 0) {
+        const excluded = state.snakes[excludeSnakeIndex].body[excludeHeadIndex];
+        if (excluded && excluded.x === x && excluded.y === y) skip = excludeSnakeIndex;
+    }
+
+    let found = -1;
+    for (let i = 0; i < owners.length; i++) {
+        const snakeIndex = owners[i];
+        if (snakeIndex === skip) {
+            skip = -1;
+            continue;
+        }
+        if (state.snakes[snakeIndex].protectedTicks > 0) continue;  // Protected snakes can't be hit
+        if (found === -1 || snakeIndex < found) found = snakeIndex;
+    }
+    return found;
+}
+
+// Checks if a position collides with any snake's body
+function checkCollision(state, x, y, excludeSnakeIndex = -1, excludeHeadIndex = -1) {
+    return findSnakeAt(state, x, y, excludeSnakeIndex, excludeHeadIndex) !== -1;
+}
+
+// Works out every crash after a tick's moves
+// Returns one report per crashed snake (empty if nobody crashed):
+// { snake (its index), x, y (the cell its head crashed in), hit, otherSnake }
+// hit is 'wall', 'self' or 'snake' - otherSnake is the index of the snake that
+// was hit ('snake' only, null otherwise)
+function getCrashes(state) {
+    const crashes = [];
+    for (let snakeIndex = 0; snakeIndex < state.snakes.length; snakeIndex++) {
+        const snake = state.snakes[snakeIndex];
+        if (!snake || !snake.body || snake.body.length === 0) continue;
+
+        const head = snake.body[0];
+
+        // Walls are deadly even for snakes with spawn protection
+        if (isWall(state, head.x, head.y)) {
+            crashes.push({ snake: snakeIndex, x: head.x, y: head.y, hit: 'wall', otherSnake: null });
+            continue;
+        }
+        if (snake.protectedTicks > 0) continue;  // Protected snakes can't crash
+        if (state.effects.ghost > 0) continue;  // Ghost snakes pass through each other
+
+        // Check collision with any snake body (including self-collision)
+        const hitIndex = findSnakeAt(state, head.x, head.y, snakeIndex, 0);
+        if (hitIndex === snakeIndex) {
+            crashes.push({ snake: snakeIndex, x: head.x, y: head.y, hit: 'self', otherSnake: null });
+        } else if (hitIndex !== -1) {
+            crashes.push({ snake: snakeIndex, x: head.x, y: head.y, hit: 'snake', otherSnake: hitIndex });
+        }
+    }
+    return crashes;
+}
+
+// Finds every snake that has collided with a wall, itself or another snake
+// Returns an array of the crashed snakes (empty if nobody crashed)
+function getCrashedSnakes(state) {
+    return getCrashes(state).map(crash => state.snakes[crash.snake]);
+}
+
+// Checks if any snake has collided with a wall, itself or another snake
+function checkSnakeCollisions(state) {
+    return getCrashedSnakes(state).length > 0;
+}
+
+// Counts the snakes each player has, as an array indexed by player
+function getPlayerSnakeCounts(state) {
+    const counts = new Array(state.rules.players).fill(0);
+    state.snakes.forEach(snake => {
+        counts[snake.player]++;
+    });
+    return counts;
+}
+
+// ====== DIRECTION CHANGES ======
+// A turn is valid as long as it doesn't point straight back the way we came
+function isValidTurn(currentDir, newDirection) {
+    if (newDirection.x === 1 && currentDir.x !== -1) return true;  // Right
+    if (newDirection.x === -1 && currentDir.x !== 1) return true;   // Left
+    if (newDirection.y === 1 && currentDir.y !== -1) return true;    // Down
+    if (newDirection.y === -1 && currentDir.y !== 1) return true;  // Up
+    return false;
+}
+
+// Queues a turn for every snake of one player
+// Each snake keeps its own queue of turns and uses one per movement step,
+// so quick presses aren't lost. A turn is checked against where that snake
+// will be heading once its earlier turns are used - never just the first
+// snake's heading - so no snake can ever turn back into its own neck.
+// Returns true if at least one snake took the turn
+function queueTurn(state, newDirection, player = 0) {
+    let accepted = false;
+    state.snakes.forEach(snake => {
+        if (snake.player !== player) return;
+
+        const queue = snake.turnQueue;
+        const heading = queue.length > 0 ? queue[queue.length - 1] : snake.direction;
+
+        // Skip turns that change nothing, reverse the snake, or don't fit in the queue
+        if (newDirection.x === heading.x && newDirection.y === heading.y) return;
+        if (!isValidTurn(heading, newDirection)) return;
+        if (queue.length >= MAX_QUEUED_TURNS) return;
+
+        queue.push(newDirection);
+        accepted = true;
+    });
+    return accepted;
+}
+
+// ====== SNAKE MOVEMENT ======
+// Updates individual snake positions and handles food collision
+function moveSnake(state, snake, deltaTime) {
+    if (state.gameOver) return; // Don't move snakes if game is over
+
+    // Update snake's individual time accumulator
+    snake.deltaTime += deltaTime;
+
+    // While the slow effect is on, every move takes SLOW_FACTOR times longer
+    const moveTime = state.effects.slow > 0 ? snake.speed * SLOW_FACTOR : snake.speed;
+
+    // Only move if enough time has passed for this snake
+    if (snake.deltaTime >= moveTime) {
+        // Keep the leftover time so the snake's average speed stays exact
+        snake.deltaTime -= moveTime;
+
+        // Make the next queued turn, if there is one
+        if (snake.turnQueue.length > 0) {
+            snake.direction = snake.turnQueue.shift();
+        }
+
+        // Get current head position
+        const head = snake.body[0];
+
+        // Calculate new head position
+        // The modulo (%) makes the snake wrap around the edges
+        // (in "walls" mode the border stops snakes before they get that far)
+        let x = (head.x + snake.direction.x + state.gridWidth) % state.gridWidth;
+        let y = (head.y + snake.direction.y + state.gridHeight) % state.gridHeight;
+
+        // Stepping onto a portal comes out at the other end of the pair
+        const portalExit = state.portalExits[y * state.gridWidth + x];
+        if (portalExit) {
+            x = portalExit.x;
+            y = portalExit.y;
+        }
+
+        // Add new head to start of body array
+        // A snake that isn't eating or growing loses its tail this move, so the
+        // tail segment itself becomes the new head instead of making a new one
+        const food = state.food;
+        const eating = food && x === food.x && y === food.y;
+        let newHead;
+        if (eating || snake.growing) {
+            newHead = { x: x, y: y };
+        } else {
+            newHead = snake.body.pop();
+            leaveCell(state, snake, newHead);
+            newHead.x = x;
+            newHead.y = y;
+        }
+        snake.body.unshift(newHead);
+        occupyCell(state, snake, newHead);
+
+        // Check if snake hit food
+        // What happens depends on the type of fruit (see FRUIT_TYPES)
+        let shrinkBy = 0;
+        if (eating) {
+            const fruit = FRUIT_TYPES[food.type];
+            state.points += fruit.points;
+            state.fruitsEaten++;
+            if (fruit.grow) snake.growing = true;     // Snake will grow next frame
+            if (fruit.shrink) shrinkBy = fruit.shrink;
+            if (fruit.effect) state.effects[fruit.effect] = Math.round(fruit.duration / TICK_MS);
+
+            // Spawn a new snake at a safe position, then new food on a free cell
+            state.food = null;
+            // (in versus it joins the family of the snake that ate)
+            if (fruit.spawnSnake && !spawnSnake(state, snake.direction, snake.player)) {
+                coreLog.debug('No room to spawn a new snake');
+            }
+            state.food = generateFood(state);
+
+            // Increase speed based on settings
+            if (fruit.speedUp && state.rules.speedIncrease) {
+                if (state.rules.individualSpeeds) {
+                    // Each snake speeds up independently
+                    snake.speed = Math.max(MIN_SNAKE_SPEED, snake.speed - SPEED_STEP); // Decrease delay (faster)
+                    coreLog.debug(`Individual snake speed increased! New speed: ${snake.speed}ms`);
+                } else {
+                    // All snakes speed up together (global speed increase)
+                    state.snakes.forEach(s => {
+                        s.speed = Math.max(MIN_SNAKE_SPEED, s.speed - SPEED_STEP);
+                    });
+                    coreLog.debug(`Global snake speed increased! All snakes now at: ${snake.speed}ms`);
+                }
+            }
+        }
+
+        // If snake isn't growing, remove tail
+        // This creates the illusion of movement
+        // (a snake that didn't eat already moved its tail to the front above)
+        if (snake.growing) {
+            snake.growing = false;    // Reset growing flag
+        } else if (eating) {
+            leaveCell(state, snake, snake.body.pop());
+        }
+
+        // Shrink fruit takes segments off the tail
+        if (shrinkBy > 0) {
+            const length = Math.max(MIN_SNAKE_LENGTH, snake.body.length - shrinkBy);
+            for (let i = length; i < snake.body.length; i++) leaveCell(state, snake, snake.body[i]);
+            snake.body.length = length;
+        }
+    }
+}
+
+// ====== SIMULATION STEP ======
+// Turns the input for one step into a list of { player, direction } turns
+// input can be { direction } for player one, or { turns: [{ player, direction }] }
+// when more than one player pressed something
+function getInputTurns(input) {
+    if (!input) return [];
+    if (input.turns) return input.turns;
+    if (input.direction) return [{ player: 0, direction: input.direction }];
+    return [];
+}
+
+// Advances the game by dt milliseconds (normally one tick of TICK_MS)
+// input: optional turns from the players (see getInputTurns), queued before anything moves
+function step(state, input, dt = TICK_MS) {
+    if (state.gameOver) return state;
+
+    getInputTurns(input).forEach(turn => {
+        queueTurn(state, turn.direction, turn.player);
+    });
+
+    state.tick++;
+
+    // Move each snake individually
+    // Snakes spawned during this step wait until the next one to move
+    const snakeCount = state.snakes.length;
+    for (let i = 0; i < snakeCount; i++) {
+        moveSnake(state, state.snakes[i], dt);
+    }
+
+    // Check for collisions after all snakes have moved
+    // In versus, the player who didn't crash wins (if both did, it's a draw)
+    const crashes = getCrashes(state);
+    if (crashes.length > 0) {
+        state.gameOver = true;
+        state.crashes = crashes;
+        if (state.rules.players === 2) {
+            const crashedPlayers = new Set(crashes.map(crash => state.snakes[crash.snake].player));
+            state.winner = crashedPlayers.size === 1 ? 1 - state.snakes[crashes[0].snake].player : null;
+        }
+    }
+
+    // Count down spawn protection and fruit effects
+    state.snakes.forEach(snake => {
+        if (snake.protectedTicks > 0) snake.protectedTicks--;
+    });
+    Object.keys(state.effects).forEach(effect => {
+        if (state.effects[effect] > 0) state.effects[effect]--;
+    });
+
+    // Fruit that nobody ate in time rots, and new fruit appears
+    if (!state.gameOver && state.food && state.food.rotTick > 0 && state.tick >= state.food.rotTick) {
+        state.food = generateFood(state);
+    }
+
+    return state;
+}
+
+// ====== EXPORTS ======
+// In the browser the functions above are already globals for the other scripts.
+// In Node, hand them out through module.exports instead.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SNAKE_SPEED,
+        MIN_SNAKE_SPEED,
+        SPEED_STEP,
+        BORDER_WIDTH,
+        GAME_MODES,
+        MAX_PLAYERS,
+        FRUIT_TYPES,
+        FRUIT_NAMES,
+        SLOW_FACTOR,
+        MIN_SNAKE_LENGTH,
+        MAX_QUEUED_TURNS,
+        TICK_MS,
+        DEFAULT_RULES,
+        randomSeed,
+        nextRandom,
+        randomInt,
+        randomMatch,
+        createGameState,
+        copyGameState,
+        createSnake,
+        getRules,
+        parseLevel,
+        levelToText,
+        isWall,
+        isCellTaken,
+        addSnake,
+        clearSnakes,
+        findSpawnPosition,
+        pickFruitType,
+        generateFood,
+        spawnSnake,
+        findSnakeAt,
+        checkCollision,
+        getCrashes,
+        getCrashedSnakes,
+        checkSnakeCollisions,
+        getPlayerSnakeCounts,
+        isValidTurn,
+        queueTurn,
+        moveSnake,
+        getInputTurns,
+        step
+    };
+}
@@ -0,0 +1,101 @@
+// ====== DEBUG OVERLAY ======
+// Press ` (the key above Tab) to show a panel in the top right corner with the
+// frame rate, how many ticks the simulation runs per second, the grid size,
+// where the crash that ended the last game happened, and every snake's speed
+// and movement timer (deltaTime). It also turns on all logging (see
+// snake-log.js) until it's pressed again.
+// Uses the canvas, ctx, game and cellSize globals from snake-snake-snake.js.
+
+const DEBUG_KEY = '`';
+const DEBUG_STATS_TIME = 500;  // How often the frame and tick rates are worked out (ms)
+const DEBUG_LINE_HEIGHT = 16;
+const DEBUG_PANEL_WIDTH = 260;
+
+let debugOverlay = false;  // Whether the overlay is showing
+let loggingBeforeDebug = null;  // The logging settings to go back to when the overlay is closed
+
+// Counted up between rate updates, and the rates and crash they last showed
+const debugStats = {
+    frames: 0,
+    ticks: 0,
+    elapsed: 0,
+    fps: 0,
+    tickRate: 0,
+    game: null,  // The game whose ticks are being counted
+    tick: 0,  // Its tick last frame
+    lastCollision: null,  // The first crash report of the last game that ended (see getCrashes), or null
+    lines: null  // The overlay's text, worked out again with the rates (null = needs working out)
+};
+
+// Shows or hides the overlay, turning logging on while it shows
+function toggleDebugOverlay() {
+    debugOverlay = !debugOverlay;
+    if (debugOverlay) {
+        loggingBeforeDebug = { level: logging.level, namespaces: logging.namespaces };
+        setLogging('debug');
+    } else {
+        setLogging(loggingBeforeDebug.level, loggingBeforeDebug.namespaces);
+    }
+    showToast(debugOverlay ? 'Debug overlay on' : 'Debug overlay off');
+}
+
+// Counts frames and ticks, and works out the rates every DEBUG_STATS_TIME
+// Called once a frame from gameLoop(), so the numbers are ready when the overlay opens
+function updateDebugStats(frameTime) {
+    if (debugStats.game === game) debugStats.ticks += game.tick - debugStats.tick;
+    debugStats.game = game;
+    debugStats.tick = game.tick;
+    if (game.gameOver && game.crashes.length > 0) debugStats.lastCollision = game.crashes[0];
+
+    debugStats.frames++;
+    debugStats.elapsed += frameTime;
+    if (debugStats.elapsed >= DEBUG_STATS_TIME) {
+        debugStats.fps = 1000 * debugStats.frames / debugStats.elapsed;
+        debugStats.tickRate = 1000 * debugStats.ticks / debugStats.elapsed;
+        debugStats.frames = 0;
+        debugStats.ticks = 0;
+        debugStats.elapsed = 0;
+        debugStats.lines = null;
+    }
+}
+
+// The overlay's text: the overall numbers, then one line per snake for as many
+// snakes as fit on the screen
+function getDebugLines() {
+    const crash = debugStats.lastCollision;
+    const lines = [
+        `FPS ${debugStats.fps.toFixed(0)}   Ticks/s ${debugStats.tickRate.toFixed(0)}`,
+        `Grid ${game.gridWidth}x${game.gridHeight}   Cell ${cellSize}px`,
+        `Last crash: ${crash ? `(${crash.x}, ${crash.y}) ${crash.hit}` : 'none'}`,
+        `Snakes: ${game.snakes.length}`
+    ];
+    const room = Math.max(0, Math.floor((canvas.height - 2 * MENU_PADDING) / DEBUG_LINE_HEIGHT) - lines.length - 1);
+    const shown = Math.min(game.snakes.length, room);
+    for (let i = 0; i < shown; i++) {
+        const snake = game.snakes[i];
+        const player = game.rules.players === 2 ? ` P${snake.player + 1}` : '';
+        lines.push(`#${i}${player} speed ${snake.speed}ms  dt ${snake.deltaTime}ms`);
+    }
+    if (shown < game.snakes.length) lines.push(`...and ${game.snakes.length - shown} more`);
+    return lines;
+}
+
+// Draws the overlay
+// Its text only changes every DEBUG_STATS_TIME, so it isn't worked out every frame
+function drawDebugOverlay() {
+    if (!debugStats.lines) debugStats.lines = getDebugLines();
+    const lines = debugStats.lines;
+
+    const x = canvas.width - DEBUG_PANEL_WIDTH - MENU_PADDING;
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.fillRect(x, MENU_PADDING, DEBUG_PANEL_WIDTH, lines.length * DEBUG_LINE_HEIGHT + MENU_PADDING);
+    ctx.font = '12px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#0f0';
+    lines.forEach((line, i) => {
+        ctx.fillText(line, x + MENU_PADDING / 2, MENU_PADDING * 1.5 + i * DEBUG_LINE_HEIGHT);
+    });
+    ctx.restore();
+}
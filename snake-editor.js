@@ -0,0 +1,469 @@
+// ====== LEVEL EDITOR ======
+// Paint a level on the game grid with the mouse or a finger, then test-play it.
+// Levels are edited as level text (see parseLevel in snake-core.js), one
+// character per cell, and can be saved to named slots in localStorage or
+// exported and imported as .txt files. Saved levels show up in the Level setting.
+// Uses the canvas, ctx and cellSize globals from snake-snake-snake.js.
+
+// The level being edited, or null when the editor is closed. Set up in openEditor()
+let editor = null;
+
+const EDITOR_BAR_HEIGHT = 60;  // Height of the toolbar below the grid (pixels)
+const EDITOR_SLOTS_KEY = 'snake_editorLevels';  // localStorage key for saved levels
+
+// The painting tools, picked with the number keys or the toolbar
+const EDITOR_TOOLS = [
+    { name: 'Wall', tile: '#', key: '1' },
+    { name: 'Floor', tile: '.', key: '2' },
+    { name: 'Start', tile: 'start', key: '3' },
+    { name: 'Spawn', tile: '*', key: '4' },
+    { name: 'Food', tile: '%', key: '5' },
+    { name: 'Portal', tile: 'portal', key: '6' }
+];
+
+// The other toolbar buttons, after the tools
+const EDITOR_ACTIONS = [
+    { name: 'Test', key: 'T', action: () => testEditorLevel() },
+    { name: 'Save', key: 'S', action: () => saveEditorLevel() },
+    { name: 'Open', key: 'O', action: () => openEditorSlot() },
+    { name: 'Export', key: 'X', action: () => exportEditorLevel() },
+    { name: 'Import', key: 'I', action: () => importEditorLevel() },
+    { name: 'Exit', key: 'ESC', action: () => closeEditor() }
+];
+
+// Start tiles for each arrow key
+const EDITOR_START_TILES = { ArrowRight: '>', ArrowLeft: '<', ArrowUp: '^', ArrowDown: 'v' };
+
+// ====== OPENING AND CLOSING ======
+// Opens the editor (or goes back to it after a test-play)
+// A new editor starts from the selected level, or an empty walled grid that fits the window
+function openEditor() {
+    playback = null;
+    gamePaused = false;
+    showSettings = false;
+
+    if (editor) {
+        editor.testing = false;
+    } else {
+        editor = {
+            name: 'My Level',
+            gridWidth: 0,
+            gridHeight: 0,
+            rows: [],  // One array of tile characters per row
+            tool: 0,  // Index into EDITOR_TOOLS
+            startTile: '>',  // Direction used when placing the start
+            pendingPortal: null,  // Digit of a portal still waiting for its other end
+            painting: false,  // Mouse button / finger held down on the grid
+            lastCell: null,  // Last cell painted in this stroke ({ x, y })
+            testing: false,  // Playing the level instead of editing it
+            level: null,  // The parsed level being test-played
+            message: ''  // Last thing that happened, shown in the toolbar
+        };
+
+        const level = getLevel(settings.level);
+        if (level) {
+            loadEditorText(levelToText(level));
+        } else {
+            const grid = getWindowGrid();
+            clearEditorLevel(grid.width, grid.height);
+        }
+    }
+
+    resizeCanvas();
+    settingsLog.info('Editor opened:', editor.name);
+}
+
+// Leaves the editor and starts a normal game
+function closeEditor() {
+    editor = null;
+    restartGame();
+    settingsLog.info('Editor closed');
+}
+
+// ====== LEVEL TEXT ======
+// Replaces the editor's grid with an empty level of the given size:
+// floor with a wall border and the start in the middle
+function clearEditorLevel(width, height) {
+    editor.gridWidth = width;
+    editor.gridHeight = height;
+    editor.rows = [];
+    for (let y = 0; y < height; y++) {
+        const row = [];
+        for (let x = 0; x < width; x++) {
+            const isBorder = x < BORDER_WIDTH || x >= width - BORDER_WIDTH ||
+                y < BORDER_WIDTH || y >= height - BORDER_WIDTH;
+            row.push(isBorder ? '#' : '.');
+        }
+        editor.rows.push(row);
+    }
+    editor.rows[Math.floor(height / 2)][Math.floor(width / 2)] = editor.startTile;
+    editor.pendingPortal = null;
+}
+
+// Loads level text into the editor, naming it defaultName if the text has no name
+// Throws an Error if the text isn't a valid level (the editor is left as it was)
+function loadEditorText(text, defaultName = editor.name) {
+    const level = parseLevel(text, defaultName);
+    const lines = levelToText(level).split('\n').filter(line => line && !line.startsWith(';'));
+
+    editor.name = level.name;
+    editor.gridWidth = level.width;
+    editor.gridHeight = level.height;
+    editor.rows = lines.map(line => line.split(''));
+    editor.pendingPortal = null;
+}
+
+// The level being edited, as level text
+function getEditorText() {
+    return `; name: ${editor.name}\n` + editor.rows.map(row => row.join('')).join('\n') + '\n';
+}
+
+// ====== PAINTING ======
+// Puts a tile on a cell, keeping portals in pairs
+function setEditorTile(x, y, tile) {
+    const oldTile = editor.rows[y][x];
+
+    // Painting over one end of a portal removes the other end too
+    if (oldTile >= '0' && oldTile <= '9' && oldTile !== tile) {
+        editor.rows.forEach(row => {
+            row.forEach((cell, cellX) => {
+                if (cell === oldTile) row[cellX] = '.';
+            });
+        });
+        if (editor.pendingPortal === oldTile) editor.pendingPortal = null;
+    }
+
+    editor.rows[y][x] = tile;
+}
+
+// Applies the current tool to a cell
+// dragging is true when the pointer moved onto the cell while held down -
+// walls, floor, spawn points and food zones can be painted in strokes,
+// while the start and portals are placed one click at a time
+function paintEditorCell(x, y, dragging) {
+    if (x < 0 || x >= editor.gridWidth || y < 0 || y >= editor.gridHeight) return;
+
+    const tool = EDITOR_TOOLS[editor.tool];
+    if (tool.tile === 'start') {
+        if (dragging) return;
+        // There's only one start, so remove the old one first
+        editor.rows.forEach(row => {
+            row.forEach((cell, cellX) => {
+                if (LEVEL_DIRECTIONS[cell]) row[cellX] = '.';
+            });
+        });
+        setEditorTile(x, y, editor.startTile);
+    } else if (tool.tile === 'portal') {
+        if (dragging) return;
+        placeEditorPortal(x, y);
+    } else {
+        setEditorTile(x, y, tool.tile);
+    }
+}
+
+// Places one end of a portal: the first click starts a new pair, the second finishes it
+function placeEditorPortal(x, y) {
+    if (editor.rows[y][x] === editor.pendingPortal) return;
+
+    let digit = editor.pendingPortal;
+    if (digit === null) {
+        // Find a digit that isn't used by another pair yet
+        const used = editor.rows.map(row => row.join('')).join('');
+        digit = '0123456789'.split('').find(d => !used.includes(d));
+        if (!digit) {
+            editor.message = 'All 10 portal pairs are used';
+            return;
+        }
+    }
+
+    setEditorTile(x, y, digit);
+    editor.pendingPortal = editor.pendingPortal === null ? digit : null;
+    editor.message = editor.pendingPortal !== null ? 'Now place the other end of the portal' : '';
+}
+
+// Points the start in a new direction (arrow keys)
+function setEditorStartDirection(tile) {
+    editor.startTile = tile;
+    editor.rows.forEach(row => {
+        row.forEach((cell, cellX) => {
+            if (LEVEL_DIRECTIONS[cell]) row[cellX] = tile;
+        });
+    });
+}
+
+// ====== TEST PLAY ======
+// Starts a game on the level being edited (it has to be a valid level)
+function testEditorLevel() {
+    try {
+        editor.level = parseLevel(getEditorText(), editor.name);
+    } catch (error) {
+        editor.message = error.message;
+        return;
+    }
+
+    editor.testing = true;
+    editor.message = '';
+    restartGame();
+    simLog.info('Test-playing level:', editor.name);
+}
+
+// ====== SAVING AND LOADING ======
+// Reads the saved levels from localStorage as { name: level text }
+function loadEditorSlots() {
+    try {
+        return JSON.parse(localStorage.getItem(EDITOR_SLOTS_KEY)) || {};
+    } catch (error) {
+        settingsLog.warn('Error reading saved levels:', error);
+        return {};
+    }
+}
+
+// Saves the level under a name the player picks (replacing any saved level with that name)
+// The built-in levels' names are taken - a level saved as one could never be picked
+function saveEditorLevel() {
+    const name = window.prompt('Save level as:', editor.name);
+    if (name === null || name.trim() === '') return;
+    if (isBuiltInLevel(name.trim())) {
+        editor.message = `"${name.trim()}" is a built-in level, pick another name`;
+        return;
+    }
+
+    editor.name = name.trim();
+    const slots = loadEditorSlots();
+    slots[editor.name] = getEditorText();
+    localStorage.setItem(EDITOR_SLOTS_KEY, JSON.stringify(slots));
+
+    loadLevels();  // So it shows up in the Level setting
+    editor.message = getLevel(editor.name) ? `Saved "${editor.name}"` : `Saved "${editor.name}" (not playable yet)`;
+    settingsLog.info('Level saved:', editor.name);
+}
+
+// Opens one of the saved levels, asking for its name
+function openEditorSlot() {
+    const names = Object.keys(loadEditorSlots());
+    if (names.length === 0) {
+        editor.message = 'No saved levels yet';
+        return;
+    }
+
+    const name = window.prompt(`Open which level? (${names.join(', ')})`, names[0]);
+    if (name === null) return;
+
+    const text = loadEditorSlots()[name.trim()];
+    if (text === undefined) {
+        editor.message = `No saved level called "${name.trim()}"`;
+        return;
+    }
+
+    try {
+        loadEditorText(text);
+        editor.message = `Opened "${editor.name}"`;
+    } catch (error) {
+        editor.message = `Could not open "${name.trim()}": ${error.message}`;
+    }
+    resizeCanvas();  // The level may be a different size
+}
+
+// Saves the level as a .txt file download
+function exportEditorLevel() {
+    const blob = new Blob([getEditorText()], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${editor.name.replace(/[^\w-]+/g, '-')}.txt`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    settingsLog.info('Level exported:', editor.name);
+}
+
+// Asks the player for a level file and opens it in the editor
+function importEditorLevel() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.txt,text/plain';
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) return;
+
+        file.text().then(text => {
+            // Files without a name line are named after the file
+            loadEditorText(text, file.name.replace(/\.txt$/i, ''));
+            editor.message = `Imported "${editor.name}"`;
+            resizeCanvas();
+        }).catch(err => {
+            settingsLog.error('Error importing level:', err);
+            editor.message = `Could not import level: ${err.message}`;
+        });
+    });
+    input.click();
+}
+
+// ====== INPUT ======
+// Works out which toolbar button is under a point (null if none)
+// Tools come first, then the actions, all the same width
+function getEditorButtonAt(canvasX, canvasY) {
+    const barY = editor.gridHeight * cellSize;
+    if (canvasY < barY || canvasY > barY + EDITOR_BAR_HEIGHT / 2) return null;
+
+    const buttons = EDITOR_TOOLS.length + EDITOR_ACTIONS.length;
+    const index = Math.floor(canvasX / (canvas.width / buttons));
+    return index >= 0 && index < buttons ? index : null;
+}
+
+// Mouse button or finger pressed on the canvas
+function handleEditorPointerDown(canvasX, canvasY) {
+    const button = getEditorButtonAt(canvasX, canvasY);
+    if (button !== null) {
+        if (button < EDITOR_TOOLS.length) {
+            editor.tool = button;
+        } else {
+            EDITOR_ACTIONS[button - EDITOR_TOOLS.length].action();
+        }
+        return;
+    }
+
+    if (canvasY >= editor.gridHeight * cellSize) return;  // Status line
+    editor.painting = true;
+    editor.lastCell = null;
+    handleEditorPointerMove(canvasX, canvasY);
+}
+
+// Pointer moved - keeps painting while the button or finger is held down
+// A fast stroke can skip cells between two moves, so the gap is filled in
+function handleEditorPointerMove(canvasX, canvasY) {
+    if (!editor.painting) return;
+
+    const x = Math.floor(canvasX / cellSize);
+    const y = Math.floor(canvasY / cellSize);
+    const last = editor.lastCell;
+    if (!last) {
+        paintEditorCell(x, y, false);
+    } else {
+        if (last.x === x && last.y === y) return;  // Still on the same cell
+        const steps = Math.max(Math.abs(x - last.x), Math.abs(y - last.y));
+        for (let i = 1; i <= steps; i++) {
+            paintEditorCell(
+                last.x + Math.round((x - last.x) * i / steps),
+                last.y + Math.round((y - last.y) * i / steps),
+                true
+            );
+        }
+    }
+    editor.lastCell = { x, y };
+}
+
+// Mouse button or finger released
+function handleEditorPointerUp() {
+    editor.painting = false;
+}
+
+// Handles a key press while editing (returns true if the key was used)
+function handleEditorKey(event) {
+    const key = event.key.toLowerCase();
+
+    const tool = EDITOR_TOOLS.findIndex(t => t.key === event.key);
+    if (tool !== -1) {
+        editor.tool = tool;
+        return true;
+    }
+    if (EDITOR_START_TILES[event.key]) {
+        setEditorStartDirection(EDITOR_START_TILES[event.key]);
+        return true;
+    }
+    if (key === 'c') {
+        clearEditorLevel(editor.gridWidth, editor.gridHeight);
+        editor.message = 'Cleared';
+        return true;
+    }
+
+    const action = EDITOR_ACTIONS.find(a => a.key.toLowerCase() === key || (a.key === 'ESC' && event.key === 'Escape'));
+    if (action) {
+        action.action();
+        return true;
+    }
+    return false;
+}
+
+// ====== DRAWING ======
+// Draws the level being edited and the toolbar below it
+function drawEditor() {
+    const scale = cellSize / CELL_SIZE;
+    const palette = getPalette();  // Same colors as the game (see snake-accessibility.js)
+
+    ctx.fillStyle = palette.board;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    for (let y = 0; y < editor.gridHeight; y++) {
+        for (let x = 0; x < editor.gridWidth; x++) {
+            const tile = editor.rows[y][x];
+            const cellX = x * cellSize;
+            const cellY = y * cellSize;
+
+            if (tile === '#') {
+                // Wall
+                ctx.fillStyle = palette.border;
+                ctx.fillRect(cellX, cellY, cellSize, cellSize);
+            } else if (tile === '%') {
+                // Food zone: a faint red square
+                ctx.fillStyle = 'rgba(255, 0, 0, 0.25)';
+                ctx.fillRect(cellX, cellY, cellSize, cellSize);
+            } else if (tile === '*') {
+                // Spawn point: a dark dot
+                ctx.fillStyle = palette.border;
+                ctx.fillRect(cellX + cellSize / 2 - 2 * scale, cellY + cellSize / 2 - 2 * scale, 4 * scale, 4 * scale);
+            } else if (tile >= '0' && tile <= '9') {
+                // Portal: a colored ring with its number
+                ctx.strokeStyle = PORTAL_COLORS[Number(tile) % PORTAL_COLORS.length];
+                ctx.lineWidth = 3 * scale;
+                ctx.strokeRect(cellX + 2 * scale, cellY + 2 * scale, cellSize - 4 * scale, cellSize - 4 * scale);
+                ctx.fillStyle = '#fff';
+                ctx.font = `${Math.floor(10 * scale)}px Arial`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(tile, cellX + cellSize / 2, cellY + cellSize / 2);
+            } else if (LEVEL_DIRECTIONS[tile]) {
+                // Start: the first snake, with its body trailing behind the head
+                const direction = LEVEL_DIRECTIONS[tile];
+                ctx.fillStyle = palette.leader;
+                for (let i = 0; i < 3; i++) {
+                    ctx.globalAlpha = i === 0 ? 1 : 0.5;
+                    ctx.fillRect((x - i * direction.x) * cellSize, (y - i * direction.y) * cellSize, cellSize - 1, cellSize - 1);
+                }
+                ctx.globalAlpha = 1;
+                ctx.fillStyle = '#000';
+                ctx.font = `bold ${Math.floor(12 * scale)}px Arial`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(tile, cellX + cellSize / 2, cellY + cellSize / 2);
+            }
+        }
+    }
+
+    // Toolbar: one row of buttons, then a status line
+    const barY = editor.gridHeight * cellSize;
+    const buttons = EDITOR_TOOLS.length + EDITOR_ACTIONS.length;
+    const buttonWidth = canvas.width / buttons;
+    const buttonHeight = EDITOR_BAR_HEIGHT / 2;
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, barY, canvas.width, EDITOR_BAR_HEIGHT);
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    EDITOR_TOOLS.concat(EDITOR_ACTIONS).forEach((button, index) => {
+        const buttonX = index * buttonWidth;
+        ctx.fillStyle = index === editor.tool ? '#666' : '#333';
+        ctx.fillRect(buttonX + 1, barY + 1, buttonWidth - 2, buttonHeight - 2);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(`${button.name} (${button.key})`, buttonX + buttonWidth / 2, barY + buttonHeight / 2);
+    });
+
+    ctx.textAlign = 'left';
+    ctx.fillText(`EDITING "${editor.name}" ${editor.gridWidth}x${editor.gridHeight}  ${editor.message}`, 10, barY + buttonHeight * 1.5);
+    ctx.textAlign = 'right';
+    ctx.fillText('Arrows: Start direction  C: Clear', canvas.width - 10, barY + buttonHeight * 1.5);
+}
@@ -0,0 +1,137 @@
+// ====== GAMEPADS ======
+// Reads game controllers through the browser's Gamepad API.
+// Gamepads don't send events when a button is pressed, so every frame
+// pollGamepads() looks at each connected pad and calls handleGamepadButton()
+// (in snake-snake-snake.js) once for every button that has just gone down.
+// The left stick counts as the D-pad once it's pushed past the dead zone.
+// The dead zone and the pause, restart and settings buttons are settings
+// (see SETTINGS_SCHEMA in snake-settings.js).
+
+// Where each button is on a pad with the browser's "standard" layout
+// (A/B/X/Y are the Xbox names - on other pads they're the same four face buttons)
+const GAMEPAD_BUTTONS = {
+    a: 0,
+    b: 1,
+    x: 2,
+    y: 3,
+    lb: 4,
+    rb: 5,
+    back: 8,
+    start: 9,
+    up: 12,
+    down: 13,
+    left: 14,
+    right: 15
+};
+
+// Names shown in the settings for the buttons that can be picked
+const GAMEPAD_BUTTON_LABELS = { start: 'Start', back: 'Back', x: 'X', y: 'Y', lb: 'LB', rb: 'RB' };
+
+// Buttons the pause, restart and settings actions can be put on
+// (A, B and the D-pad always steer and work the menus)
+const GAMEPAD_ACTION_BUTTONS = Object.keys(GAMEPAD_BUTTON_LABELS);
+
+// Choices for the dead zone: how far the stick has to be pushed before it counts (0 to 1)
+const GAMEPAD_DEAD_ZONES = [0.2, 0.35, 0.5, 0.7];
+
+// Which way each D-pad button (and the stick) steers
+const GAMEPAD_DIRECTIONS = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 }
+};
+
+// Every button name, in a fixed order - button i is bit (1 << i) of a pad's held buttons
+const GAMEPAD_BUTTON_NAMES = Object.keys(GAMEPAD_BUTTONS);
+
+// The buttons each pad was holding last frame, by pad index (see getHeldGamepadButtons)
+const gamepadButtonsHeld = [];
+
+// The buttons a pad is holding right now, as one number with a bit set for
+// each held button (see GAMEPAD_BUTTON_NAMES) - a number instead of a list of
+// names, so checking the pads every frame doesn't make new arrays
+function getHeldGamepadButtons(pad) {
+    let held = 0;
+    for (let i = 0; i < GAMEPAD_BUTTON_NAMES.length; i++) {
+        const button = pad.buttons[GAMEPAD_BUTTONS[GAMEPAD_BUTTON_NAMES[i]]];
+        if (button && button.pressed) held |= 1 << i;
+    }
+
+    // The left stick, as the D-pad - only the axis it's pushed furthest along
+    // counts, so a slightly diagonal push doesn't turn twice
+    const stickX = pad.axes[0] || 0;
+    const stickY = pad.axes[1] || 0;
+    if (Math.max(Math.abs(stickX), Math.abs(stickY)) > settings.gamepadDeadZone) {
+        let direction;
+        if (Math.abs(stickX) > Math.abs(stickY)) {
+            direction = stickX < 0 ? 'left' : 'right';
+        } else {
+            direction = stickY < 0 ? 'up' : 'down';
+        }
+        held |= 1 << GAMEPAD_BUTTON_NAMES.indexOf(direction);
+    }
+    return held;
+}
+
+// What a button does on top of steering and the menus: 'pause', 'restart',
+// 'settings' or null (if two actions share a button, the first one wins)
+function getGamepadAction(name) {
+    if (name === settings.gamepadPause) return 'pause';
+    if (name === settings.gamepadRestart) return 'restart';
+    if (name === settings.gamepadSettings) return 'settings';
+    return null;
+}
+
+// The connected pads, in the order the browser lists them (for the gamepad menu)
+function getConnectedGamepads() {
+    if (!navigator.getGamepads) return [];
+    return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+}
+
+// Checks every pad for buttons that were pressed since the last frame
+// Called once per frame from animate()
+// The first connected pad is player 1 and the second player 2 (in versus)
+// The browser's list of pads is looked through as it is, without copying it
+function pollGamepads() {
+    if (!navigator.getGamepads) return;
+    const pads = navigator.getGamepads();
+    let slot = 0;
+    for (let index = 0; index < pads.length; index++) {
+        const pad = pads[index];
+        if (!pad || !pad.connected) {
+            gamepadButtonsHeld[index] = 0;
+            continue;
+        }
+
+        const before = gamepadButtonsHeld[pad.index] || 0;
+        const held = getHeldGamepadButtons(pad);
+        gamepadButtonsHeld[pad.index] = held;
+
+        // Only buttons that have just gone down (holding one doesn't repeat it)
+        const pressed = held & ~before;
+        for (let i = 0; i < GAMEPAD_BUTTON_NAMES.length; i++) {
+            if (pressed & (1 << i)) handleGamepadButton(GAMEPAD_BUTTON_NAMES[i], slot);
+        }
+        slot++;
+    }
+}
+
+// ====== CONNECTING ======
+// A pad's name without the vendor details some browsers add in brackets
+function getGamepadName(pad) {
+    return pad.id.replace(/\s*\(.*$/, '').slice(0, 40) || 'Gamepad';
+}
+
+function handleGamepadConnected(event) {
+    inputLog.info('Gamepad connected:', event.gamepad.id);
+    refreshMenu();  // The gamepad page lists the connected pads
+    showToast(`🎮 ${getGamepadName(event.gamepad)} connected`);
+}
+
+function handleGamepadDisconnected(event) {
+    inputLog.info('Gamepad disconnected:', event.gamepad.id);
+    gamepadButtonsHeld[event.gamepad.index] = 0;
+    refreshMenu();
+    showToast(`🎮 ${getGamepadName(event.gamepad)} disconnected`);
+}
@@ -0,0 +1,261 @@
+// ====== LEADERBOARD ======
+// Keeps the best runs on this device, as a top 10 for each ruleset.
+// A ruleset is every setting that changes how hard the game is (mode, level,
+// speeds, fruit, spawn rules), so only runs played under the same rules are
+// ranked against each other. A level counts by its name and its layout, so a
+// level edited and saved under the same name starts a new board. Runs are ranked by snake count, then fruit eaten.
+// The leaderboard screen is a menu like the others (see snake-ui.js).
+
+const LEADERBOARD_SIZE = 10;  // Runs kept on each board
+const LEADERBOARD_KEY = 'snake_leaderboard';  // localStorage key for every board
+const PLAYER_NAME_KEY = 'snake_playerName';  // Last name entered, offered again next time
+
+// Every board, by ruleset key (see getRulesetKey): { key: { ruleset, entries } }
+// entries: [{ snakes, fruits, time, date, name, ruleset }], best first
+let leaderboards = {};
+
+// Set while the leaderboard screen is open: { key } of the board being shown
+let leaderboardView = null;
+
+// The entry the last game added, so a name can be given to it: { key, entry }
+let lastLeaderboardEntry = null;
+
+// ====== RULESETS ======
+// A short fingerprint of some text (32-bit FNV-1a, as 8 hex digits)
+// Two different level texts getting the same one is very unlikely
+function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// The settings of a game that decide which board its score goes on
+function getRuleset(rules) {
+    return {
+        mode: rules.mode,
+        level: rules.level ? rules.level.name : null,
+        levelHash: rules.level ? hashText(levelToText(rules.level)) : null,
+        speedIncrease: rules.speedIncrease,
+        individualSpeeds: rules.speedIncrease && rules.individualSpeeds,
+        fruits: FRUIT_NAMES.filter(name => rules.fruits.includes(name)),
+        spawnClearance: rules.spawnClearance,
+        spawnProtection: rules.spawnProtection > 0
+    };
+}
+
+// A text key that is the same for two rulesets only if every setting matches
+function getRulesetKey(ruleset) {
+    return [
+        ruleset.mode,
+        ruleset.level ? `${ruleset.level}#${ruleset.levelHash}` : '',
+        ruleset.speedIncrease ? (ruleset.individualSpeeds ? 'individual' : 'shared') : 'steady',
+        ruleset.fruits.join('+'),
+        ruleset.spawnClearance,
+        ruleset.spawnProtection ? 'protected' : 'unprotected'
+    ].join('|');
+}
+
+// A short line describing a ruleset for the leaderboard screen
+function describeRuleset(ruleset) {
+    const speed = ruleset.speedIncrease ? (ruleset.individualSpeeds ? 'Individual speeds' : 'Speed up') : 'Steady speed';
+    const fruits = ruleset.fruits.length === FRUIT_NAMES.length ? 'All fruit' : `Fruit: ${ruleset.fruits.join(', ') || 'apple'}`;
+    return [
+        GAME_MODE_NAMES[ruleset.mode],
+        ruleset.level || 'Open',
+        speed,
+        fruits,
+        `Clearance ${ruleset.spawnClearance}`,
+        ruleset.spawnProtection ? 'Protection' : 'No protection'
+    ].join(' · ');
+}
+
+// ====== STORAGE ======
+// Loads every board from localStorage
+// The first time, the old one-number high scores of each mode are moved onto
+// the board for that mode with the default settings (they have no other details)
+function loadLeaderboards() {
+    const saved = localStorage.getItem(LEADERBOARD_KEY);
+    if (saved !== null) {
+        try {
+            leaderboards = JSON.parse(saved) || {};
+        } catch (error) {
+            settingsLog.warn('Leaderboard could not be read:', error.message);
+            leaderboards = {};
+        }
+        return;
+    }
+
+    leaderboards = {};
+    GAME_MODES.forEach(mode => {
+        const oldKey = mode === 'classic' ? 'snake_highScore' : `snake_highScore_${mode}`;
+        const oldScore = parseInt(localStorage.getItem(oldKey)) || 0;
+        if (oldScore > 0) {
+            const ruleset = getRuleset(Object.assign({}, DEFAULT_RULES, {
+                mode: mode,
+                spawnProtection: SPAWN_PROTECTION_TIME
+            }));
+            insertEntry(ruleset, { snakes: oldScore, fruits: null, time: null, date: null, name: 'Old high score', ruleset: ruleset });
+        }
+    });
+    saveLeaderboards();
+}
+
+// Saves every board to localStorage
+function saveLeaderboards() {
+    localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(leaderboards));
+}
+
+// ====== ENTRIES ======
+// Puts an entry in its place on the board for a ruleset
+// Returns the entry's rank (0 = best), or -1 if it didn't make the top 10
+function insertEntry(ruleset, entry) {
+    const key = getRulesetKey(ruleset);
+    if (!leaderboards[key]) {
+        leaderboards[key] = { ruleset: ruleset, entries: [] };
+    }
+    const entries = leaderboards[key].entries;
+
+    // Goes after every run that was better or just as good (older runs win ties)
+    let rank = 0;
+    while (rank < entries.length &&
+           (entries[rank].snakes > entry.snakes ||
+            (entries[rank].snakes === entry.snakes && (entries[rank].fruits || 0) >= (entry.fruits || 0)))) {
+        rank++;
+    }
+    if (rank >= LEADERBOARD_SIZE) return -1;
+
+    entries.splice(rank, 0, entry);
+    entries.length = Math.min(entries.length, LEADERBOARD_SIZE);
+    return rank;
+}
+
+// Adds a finished game to its board
+// Returns the rank it got (0 = best), or -1 if it didn't make the top 10
+function addLeaderboardEntry(state) {
+    const ruleset = getRuleset(state.rules);
+    const entry = {
+        snakes: state.snakes.length,
+        fruits: state.fruitsEaten,
+        time: state.tick * TICK_MS,
+        date: new Date().toISOString(),
+        name: localStorage.getItem(PLAYER_NAME_KEY) || '',
+        ruleset: ruleset
+    };
+
+    const rank = insertEntry(ruleset, entry);
+    if (rank !== -1) {
+        lastLeaderboardEntry = { key: getRulesetKey(ruleset), entry: entry };
+        saveLeaderboards();
+        settingsLog.info('Leaderboard entry added:', rank + 1, entry);
+    }
+    return rank;
+}
+
+// The rank the last game got on its board (0 = best), or -1 if it isn't on it
+function getLastEntryRank() {
+    if (!lastLeaderboardEntry) return -1;
+    const board = leaderboards[lastLeaderboardEntry.key];
+    return board ? board.entries.indexOf(lastLeaderboardEntry.entry) : -1;
+}
+
+// The best snake count on the board for a game's rules (0 if the board is empty)
+function getBestScore(rules) {
+    const board = leaderboards[getRulesetKey(getRuleset(rules))];
+    return board && board.entries.length > 0 ? board.entries[0].snakes : 0;
+}
+
+// Asks for a name for the last game's entry (it's remembered for the next runs)
+function nameLastEntry() {
+    if (getLastEntryRank() === -1) return;
+
+    const name = prompt('Your name for the leaderboard:', lastLeaderboardEntry.entry.name);
+    if (name === null) return;
+
+    lastLeaderboardEntry.entry.name = name.trim().slice(0, 16);
+    localStorage.setItem(PLAYER_NAME_KEY, lastLeaderboardEntry.entry.name);
+    saveLeaderboards();
+    settingsLog.info('Leaderboard name set:', lastLeaderboardEntry.entry.name);
+}
+
+// ====== LEADERBOARD SCREEN ======
+// Opens the leaderboard on the board for the current game's rules
+function openLeaderboard() {
+    leaderboardView = { key: getRulesetKey(getRuleset(game.rules)) };
+}
+
+function closeLeaderboard() {
+    leaderboardView = null;
+}
+
+// Shows the next (step = 1) or previous (step = -1) board that has scores
+// The board for the current game's rules is always in the list, even when empty
+function cycleLeaderboard(step) {
+    const keys = Object.keys(leaderboards).filter(key => leaderboards[key].entries.length > 0);
+    const currentKey = getRulesetKey(getRuleset(game.rules));
+    if (!keys.includes(currentKey)) keys.unshift(currentKey);
+
+    const index = keys.indexOf(leaderboardView.key);
+    leaderboardView.key = keys[(index + step + keys.length) % keys.length];
+}
+
+// Clears the board being shown (after asking first)
+function clearLeaderboard() {
+    const board = leaderboards[leaderboardView.key];
+    if (!board || board.entries.length === 0) return;
+    if (!confirm('Clear every score for these rules?')) return;
+
+    delete leaderboards[leaderboardView.key];
+    saveLeaderboards();
+    settingsLog.info('Leaderboard cleared:', leaderboardView.key);
+}
+
+// Formats a date saved as ISO text like 2024-05-31
+function formatEntryDate(date) {
+    return date ? date.slice(0, 10) : '-';
+}
+
+// The leaderboard screen (see snake-ui.js for how menus work)
+function getLeaderboardMenu() {
+    const board = leaderboards[leaderboardView.key];
+    const ruleset = board ? board.ruleset : getRuleset(game.rules);
+    const entries = board ? board.entries : [];
+
+    // The run that was just played stands out
+    const lastRank = lastLeaderboardEntry && lastLeaderboardEntry.key === leaderboardView.key ? getLastEntryRank() : -1;
+
+    const table = {
+        type: 'table',
+        width: 540,
+        // Columns: rank, name, snakes, fruit, time, date
+        columns: [{ x: -220 }, { x: -190, align: 'left' }, { x: 10 }, { x: 80 }, { x: 150 }, { x: 220 }],
+        header: ['#', 'Name', 'Snakes', 'Fruit', 'Time', 'Date'],
+        rows: entries.map((entry, rank) => [
+            `${rank + 1}`,
+            entry.name || '-',
+            `${entry.snakes}`,
+            entry.fruits === null ? '-' : `${entry.fruits}`,
+            entry.time === null ? '-' : formatTime(entry.time),
+            formatEntryDate(entry.date)
+        ]),
+        highlight: lastRank,
+        empty: 'No scores yet with these rules'
+    };
+
+    return {
+        id: 'leaderboard',
+        widgets: [
+            { type: 'heading', text: 'LEADERBOARD' },
+            { type: 'text', text: describeRuleset(ruleset), font: '14px Arial' },
+            table,
+            { type: 'spacer' },
+            { type: 'button', text: 'Other Rules', key: '←/→', keys: ['ArrowRight'], action: () => cycleLeaderboard(1) },
+            { type: 'shortcut', key: 'ArrowLeft', action: () => cycleLeaderboard(-1) },
+            { type: 'button', text: 'Clear Scores', key: 'X', action: clearLeaderboard },
+            { type: 'button', text: 'Back', key: 'ESC', keys: ['b'], action: closeLeaderboard }
+        ],
+        back: closeLeaderboard
+    };
+}
@@ -0,0 +1,105 @@
+// ====== LEVELS ======
+// The built-in levels, in the order they appear in the settings menu.
+// Each one is written in the level text format described in snake-core.js
+// (see parseLevel): # is a wall, > < ^ v is where the first snake starts,
+// * is a spawn point for new snakes, % is a food zone and matching digits
+// are portal pairs.
+// To add a level, paste a new block of text into this list.
+// Like snake-core.js, this file has no DOM code and also runs in Node.
+
+const LEVEL_TEXTS = [
+`; name: Pillars
+; Six pillars in a walled box
+########################################
+########################################
+##....................................##
+##....................................##
+##....*..........................*....##
+##....................................##
+##....................................##
+##.......##........##........##.......##
+##.......##........##........##.......##
+##....................................##
+##....................................##
+##....................................##
+##....>.............*.................##
+##....................................##
+##....................................##
+##....................................##
+##....................................##
+##.......##........##........##.......##
+##.......##........##........##.......##
+##....................................##
+##....................................##
+##....*..........................*....##
+##....................................##
+##....................................##
+########################################
+########################################
+`,
+
+`; name: Crossroads
+; No outer walls, so the edges still wrap around. Portals link opposite corners
+...................##...................
+...................##...................
+...................##...................
+...................##...................
+....1..............##..............2....
+...................##...................
+........>..........##.........*.........
+...................##...................
+...................##...................
+...................##...................
+........................................
+........................................
+################........################
+################........################
+........................................
+........................................
+...................##...................
+...................##...................
+...................##...................
+..........*........##.........*.........
+...................##...................
+....2..............##..............1....
+...................##...................
+...................##...................
+...................##...................
+...................##...................
+`,
+
+`; name: Rooms
+; Four rooms joined by doorways, plus a portal between two corners
+########################################
+########################################
+##.................##.................##
+##.................##.................##
+##..1..............##.................##
+##....................................##
+##....................................##
+##......>.....................*.......##
+##.................##.................##
+##.................##.................##
+##.................##.................##
+##.................##.................##
+########...##################...########
+########...##################...########
+##.................##.................##
+##.................##.................##
+##.................##.................##
+##.................##.................##
+##........*...................*.......##
+##....................................##
+##....................................##
+##.................##..............1..##
+##.................##.................##
+##.................##.................##
+########################################
+########################################
+`
+];
+
+// ====== EXPORTS ======
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LEVEL_TEXTS };
+}
@@ -0,0 +1,82 @@
+// ====== LOGGING ======
+// Every message the game writes to the browser console goes through one of the
+// loggers below, named after the part of the game it comes from:
+//   render:   drawing, the canvas size and sound
+//   input:    keyboard, touch, gamepads and controllers
+//   sim:      games starting and ending, replays and the benchmark
+//   settings: settings, themes, levels and the leaderboard
+// Each message has a level (debug, info, warn or error). Logging is off until
+// it's turned on with a ?log link or the debug key (see snake-debug.js):
+//   ?log              everything
+//   ?log=warn         warnings and errors only
+//   ?log=sim,input    everything from those loggers only
+//   ?log=info,sim     info and up from sim
+// It can also be changed from the browser console with setLogging('debug').
+// Like snake-core.js, this file has no DOM code and also runs in Node.
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_NAMESPACES = ['render', 'input', 'sim', 'settings'];
+
+// What gets logged: messages at or above level (null = nothing at all), from
+// the loggers in namespaces (null = from all of them)
+const logging = { level: null, namespaces: null };
+
+// Turns logging on from the given level up (or off with null), for the given
+// namespaces (or all of them with null)
+function setLogging(level, namespaces = null) {
+    if (level !== null && !LOG_LEVELS.includes(level)) {
+        throw new Error(`Log level has to be one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    logging.level = level;
+    logging.namespaces = namespaces;
+}
+
+// Reads the value of a ?log link (see the top of this file) into setLogging()
+// Words that aren't a level or a namespace are skipped
+function applyLogFlag(text) {
+    const words = text.split(',').map(word => word.trim()).filter(word => word !== '');
+    const level = words.find(word => LOG_LEVELS.includes(word)) || 'debug';
+    const namespaces = words.filter(word => LOG_NAMESPACES.includes(word));
+    setLogging(level, namespaces.length > 0 ? namespaces : null);
+}
+
+// True if a message at this level from this namespace is written out
+function isLogging(namespace, level) {
+    if (logging.level === null) return false;
+    if (logging.namespaces && !logging.namespaces.includes(namespace)) return false;
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(logging.level);
+}
+
+// Makes the logger for one namespace: { debug, info, warn, error }, each taking
+// the same arguments as console.log
+function createLogger(namespace) {
+    const logger = {};
+    LOG_LEVELS.forEach(level => {
+        logger[level] = (...args) => {
+            if (!isLogging(namespace, level)) return;
+            console[level](`[${namespace}]`, ...args);
+        };
+    });
+    return logger;
+}
+
+const renderLog = createLogger('render');
+const inputLog = createLogger('input');
+const simLog = createLogger('sim');
+const settingsLog = createLogger('settings');
+
+// ====== EXPORTS ======
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LOG_LEVELS,
+        LOG_NAMESPACES,
+        setLogging,
+        applyLogFlag,
+        isLogging,
+        createLogger,
+        renderLog,
+        inputLog,
+        simLog,
+        settingsLog
+    };
+}
@@ -0,0 +1,600 @@
+// ====== RENDERER ======
+// Draws the board, snakes and fruit (draw() in snake-snake-snake.js adds the
+// counters, menus and messages on top).
+// Drawing everything cell by cell every frame gets slow with hundreds of
+// snakes, so the picture is kept on two offscreen canvases ("layers"):
+// - the board layer: background, border pattern, walls and the level's
+//   markings. They never change during a game, so it's only redrawn for a new
+//   game, a resize or a different theme or palette.
+// - the game layer: the snakes and the fruit. When snakes have only moved, just
+//   the cells that changed are redrawn - each moved snake's new head, old head
+//   (its eyes turn into body) and old tail. Anything else - new fruit, a snake
+//   eating, blinking or being added, a glowing theme - redraws the whole layer.
+// Every frame just copies the two layers onto the screen.
+// Nothing here creates objects or arrays while the game runs, so there's no
+// garbage to clean up mid-game (which shows up as stutter).
+// Uses the canvas, game and cellSize globals from snake-snake-snake.js.
+
+// Portals: both ends of a pair get the same color ring
+const PORTAL_COLORS = ['#c6f', '#fc6', '#6cf', '#f6c'];
+
+const boardLayer = document.createElement('canvas');
+const boardLayerCtx = boardLayer.getContext('2d');
+const gameLayer = document.createElement('canvas');
+const gameLayerCtx = gameLayer.getContext('2d');
+
+// What the board layer shows, to tell when it has to be redrawn
+const boardDrawn = { game: null, cellSize: 0, palette: null };
+
+// What the game layer shows, to tell what has to be redrawn
+// The lists have an entry per snake, in the same order as game.snakes:
+// heads, tails: the cells (y * gridWidth + x) of its head and tail
+// lengths: how many segments it had
+// alphas: how see-through it was drawn (spawn protection blinks)
+// colors, snakeMarkers: the color and marker shape it was drawn with
+const gameDrawn = {
+    game: null,
+    cellSize: 0,
+    palette: null,
+    markers: false,
+    food: null,
+    foodAlpha: 1,
+    heads: [],
+    tails: [],
+    lengths: [],
+    alphas: [],
+    colors: [],
+    snakeMarkers: []
+};
+
+// Counts each player's snakes while drawing, to pick colors from their range
+// (kept between frames so drawing doesn't make a new array)
+const familyIndex = [0, 0];
+
+// ====== LAYER SIZES ======
+// Makes a layer the size of the canvas
+// Returns true if it changed (which also wipes it)
+function fitLayer(layer) {
+    if (layer.width === canvas.width && layer.height === canvas.height) return false;
+    layer.width = canvas.width;
+    layer.height = canvas.height;
+    return true;
+}
+
+// ====== BOARD LAYER ======
+// Draws the background, the border checkerboard, the walls and the level's
+// food zones, spawn points and portals
+function drawBoardLayer(palette, scale) {
+    const layer = boardLayerCtx;
+    const level = game.rules.level;
+
+    layer.fillStyle = palette.board;
+    layer.fillRect(0, 0, boardLayer.width, boardLayer.height);
+
+    // Subtle checkerboard pattern around the edges only
+    // Walls (the level's, and the border in walls mode) are filled in completely
+    layer.fillStyle = palette.border;
+    for (let x = 0; x < game.gridWidth; x++) {
+        for (let y = 0; y < game.gridHeight; y++) {
+            const isBorder = x < BORDER_WIDTH || x >= game.gridWidth - BORDER_WIDTH ||
+                           y < BORDER_WIDTH || y >= game.gridHeight - BORDER_WIDTH;
+
+            if (isWall(game, x, y) || (isBorder && (x + y) % 2 === 0)) {
+                layer.fillRect(x * cellSize, y * cellSize, cellSize, cellSize);
+            }
+        }
+    }
+
+    if (!level) return;
+
+    // Food zones: a faint red square
+    layer.fillStyle = 'rgba(255, 0, 0, 0.15)';
+    for (const cell of level.foodZones) {
+        layer.fillRect(cell.x * cellSize, cell.y * cellSize, cellSize, cellSize);
+    }
+
+    // Spawn points: a small dark dot in the middle of the cell
+    layer.fillStyle = palette.border;
+    for (const point of level.spawnPoints) {
+        layer.fillRect(
+            point.x * cellSize + cellSize / 2 - 2 * scale,
+            point.y * cellSize + cellSize / 2 - 2 * scale,
+            4 * scale,
+            4 * scale
+        );
+    }
+
+    // Portals: a ring in the pair's color at both ends
+    layer.lineWidth = 3 * scale;
+    level.portals.forEach((portal, portalIndex) => {
+        layer.strokeStyle = PORTAL_COLORS[portalIndex % PORTAL_COLORS.length];
+        layer.strokeRect(portal.a.x * cellSize + 2 * scale, portal.a.y * cellSize + 2 * scale, cellSize - 4 * scale, cellSize - 4 * scale);
+        layer.strokeRect(portal.b.x * cellSize + 2 * scale, portal.b.y * cellSize + 2 * scale, cellSize - 4 * scale, cellSize - 4 * scale);
+    });
+}
+
+// ====== BLINKING ======
+// How see-through a snake is drawn: snakes with spawn protection blink
+// (switching every 10 ticks, or staying faded with reduced motion) and every
+// snake is see-through while the ghost effect is on
+function getSnakeAlpha(snake, reducedMotion) {
+    if (snake.protectedTicks > 0 && (reducedMotion || Math.floor(snake.protectedTicks / 10) % 2 === 0)) {
+        return reducedMotion ? 0.5 : 0.3;
+    }
+    return game.effects.ghost > 0 ? 0.5 : 1;
+}
+
+// How see-through the fruit is drawn (0 is hidden): fruit about to rot blinks
+// for its last 2 seconds, switching every 10 ticks - or just fades with reduced motion
+function getFoodAlpha(reducedMotion) {
+    const food = game.food;
+    if (!food || food.rotTick <= 0) return 1;
+    const rotTicksLeft = food.rotTick - game.tick;
+    if (rotTicksLeft >= 200) return 1;
+    if (reducedMotion) return 0.5;
+    return Math.floor(rotTicksLeft / 10) % 2 === 0 ? 0 : 1;
+}
+
+// ====== GAME LAYER ======
+// The cell a segment is on, numbered like the occupancy grid
+function getCellIndex(segment) {
+    return segment.y * game.gridWidth + segment.x;
+}
+
+// True if the game layer can be brought up to date by redrawing a few cells:
+// the only change since it was drawn is that some snakes moved one cell each
+// A glowing theme can't be patched like that, as the glow spills into the
+// cells around each segment
+function canRedrawCells(palette, reducedMotion) {
+    if (gameDrawn.game !== game || gameDrawn.cellSize !== cellSize || gameDrawn.palette !== palette ||
+        gameDrawn.markers !== settings.markers || gameDrawn.heads.length !== game.snakes.length ||
+        gameDrawn.food !== game.food || gameDrawn.foodAlpha !== getFoodAlpha(reducedMotion) ||
+        palette.glow > 0) {
+        return false;
+    }
+    for (let i = 0; i < game.snakes.length; i++) {
+        const snake = game.snakes[i];
+        if (gameDrawn.lengths[i] !== snake.body.length || gameDrawn.alphas[i] !== getSnakeAlpha(snake, reducedMotion)) {
+            return false;
+        }
+        // A snake that moved more than once since then has changed more cells
+        if (gameDrawn.heads[i] !== getCellIndex(snake.body[0]) && gameDrawn.heads[i] !== getCellIndex(snake.body[1])) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Draws one of a head's eyes with its top left corner at (x, y), in the theme's eye style
+function drawEye(layer, palette, x, y, eyeSize, scale) {
+    if (palette.head.eyes === 'square') {
+        layer.fillRect(x, y, eyeSize, eyeSize);
+    } else if (palette.head.eyes === 'round') {
+        layer.beginPath();
+        layer.arc(x + eyeSize / 2, y + eyeSize / 2, eyeSize / 2 + scale / 2, 0, Math.PI * 2);
+        layer.fill();
+    }
+}
+
+// Draws a snake: its body, then its head with eyes looking the way it's going
+function drawSnake(layer, snake, color, marker, palette, scale) {
+    const size = cellSize - 1;
+    layer.fillStyle = color;
+
+    // Themes like neon make snakes glow in their own color
+    layer.shadowColor = color;
+    layer.shadowBlur = palette.glow * scale;
+
+    for (let index = 1; index < snake.body.length; index++) {
+        const segment = snake.body[index];
+        layer.fillRect(segment.x * cellSize, segment.y * cellSize, size, size);
+        if (settings.markers) drawMarker(marker, segment.x * cellSize, segment.y * cellSize, size, layer);
+    }
+
+    // The head goes last so it's on top where a snake crosses itself
+    const x = snake.body[0].x * cellSize;
+    const y = snake.body[0].y * cellSize;
+    layer.fillRect(x, y, size, size);
+    layer.shadowBlur = 0;
+    drawEyes(layer, snake, palette, x, y, scale);
+}
+
+// Draws the eyes on a snake's head, whose cell has its top left corner at (x, y)
+function drawEyes(layer, snake, palette, x, y, scale) {
+    const size = cellSize - 1;
+    const eyeSize = 3 * scale;
+    const eyeOffset = 4 * scale;
+    layer.fillStyle = palette.head.eyeColor;
+    if (snake.direction.x === 1) { // Moving right
+        drawEye(layer, palette, x + size - eyeOffset, y + eyeOffset, eyeSize, scale);
+        drawEye(layer, palette, x + size - eyeOffset, y + size - eyeOffset - eyeSize, eyeSize, scale);
+    } else if (snake.direction.x === -1) { // Moving left
+        drawEye(layer, palette, x + eyeOffset - eyeSize, y + eyeOffset, eyeSize, scale);
+        drawEye(layer, palette, x + eyeOffset - eyeSize, y + size - eyeOffset - eyeSize, eyeSize, scale);
+    } else if (snake.direction.y === -1) { // Moving up
+        drawEye(layer, palette, x + eyeOffset, y + eyeOffset - eyeSize, eyeSize, scale);
+        drawEye(layer, palette, x + size - eyeOffset - eyeSize, y + eyeOffset - eyeSize, eyeSize, scale);
+    } else if (snake.direction.y === 1) { // Moving down
+        drawEye(layer, palette, x + eyeOffset, y + size - eyeOffset, eyeSize, scale);
+        drawEye(layer, palette, x + size - eyeOffset - eyeSize, y + size - eyeOffset, eyeSize, scale);
+    }
+}
+
+// Draws the fruit in the theme's food shape, in its type's color
+function drawFood(layer, palette, scale) {
+    const food = game.food;
+    const x = food.x * cellSize;
+    const y = food.y * cellSize;
+    const size = cellSize - 1;
+
+    layer.fillStyle = palette.fruits[food.type];
+    layer.shadowColor = layer.fillStyle;
+    layer.shadowBlur = palette.glow * scale;
+    if (palette.food.shape === 'round') {
+        layer.beginPath();
+        layer.arc(x + size / 2, y + size / 2, size / 2, 0, Math.PI * 2);
+        layer.fill();
+    } else if (palette.food.shape === 'diamond') {
+        layer.beginPath();
+        layer.moveTo(x + size / 2, y);
+        layer.lineTo(x + size, y + size / 2);
+        layer.lineTo(x + size / 2, y + size);
+        layer.lineTo(x, y + size / 2);
+        layer.closePath();
+        layer.fill();
+    } else {
+        layer.fillRect(x, y, size, size);
+    }
+    layer.shadowBlur = 0;
+    if (settings.markers) drawMarker(FRUIT_MARKERS[food.type], x, y, size, layer);
+
+    if (palette.food.shape === 'apple') {
+        // A brown stem on top
+        layer.fillStyle = palette.food.stem;
+        const stemWidth = 4 * scale;
+        const stemHeight = 6 * scale;
+        const stemX = x + size / 2 - stemWidth / 2;
+        const stemY = y - stemHeight;
+        layer.fillRect(stemX, stemY, stemWidth, stemHeight);
+
+        // A small green leaf sticking out to the right of the stem, slightly below its top
+        layer.fillStyle = palette.food.leaf;
+        const leafSize = 3 * scale;
+        layer.fillRect(stemX + stemWidth, stemY + scale, leafSize, leafSize);
+    }
+}
+
+// Draws every snake and the fruit onto the (cleared) game layer, and notes
+// down what it drew
+function drawGameLayer(palette, scale, reducedMotion) {
+    const layer = gameLayerCtx;
+    const snakes = game.snakes;
+    layer.clearRect(0, 0, gameLayer.width, gameLayer.height);
+
+    // The longest snake(s) get the leader color in single player
+    let maxLength = 0;
+    for (let i = 0; i < snakes.length; i++) {
+        if (snakes[i].body.length > maxLength) maxLength = snakes[i].body.length;
+    }
+
+    familyIndex[0] = 0;
+    familyIndex[1] = 0;
+    for (let snakeIndex = 0; snakeIndex < snakes.length; snakeIndex++) {
+        const snake = snakes[snakeIndex];
+        let color;
+        let marker;
+        if (game.rules.players === 2) {
+            // Versus: each player's snakes take turns through their own colors
+            const colors = palette.players[snake.player];
+            color = colors[familyIndex[snake.player]++ % colors.length];
+            marker = PLAYER_MARKERS[snake.player];
+        } else if (snake.body.length === maxLength) {
+            color = palette.leader;
+            marker = 'ring';
+        } else {
+            color = palette.snakes[snakeIndex % palette.snakes.length];
+            marker = SNAKE_MARKERS[snakeIndex % (SNAKE_MARKERS.length - 1)];
+        }
+
+        const alpha = getSnakeAlpha(snake, reducedMotion);
+        layer.globalAlpha = alpha;
+        drawSnake(layer, snake, color, marker, palette, scale);
+        layer.globalAlpha = 1;
+
+        gameDrawn.heads[snakeIndex] = getCellIndex(snake.body[0]);
+        gameDrawn.tails[snakeIndex] = getCellIndex(snake.body[snake.body.length - 1]);
+        gameDrawn.lengths[snakeIndex] = snake.body.length;
+        gameDrawn.alphas[snakeIndex] = alpha;
+        gameDrawn.colors[snakeIndex] = color;
+        gameDrawn.snakeMarkers[snakeIndex] = marker;
+    }
+    gameDrawn.heads.length = snakes.length;
+    gameDrawn.tails.length = snakes.length;
+    gameDrawn.lengths.length = snakes.length;
+    gameDrawn.alphas.length = snakes.length;
+    gameDrawn.colors.length = snakes.length;
+    gameDrawn.snakeMarkers.length = snakes.length;
+
+    const foodAlpha = getFoodAlpha(reducedMotion);
+    if (game.food && foodAlpha > 0) {
+        layer.globalAlpha = foodAlpha;
+        drawFood(layer, palette, scale);
+        layer.globalAlpha = 1;
+    }
+
+    gameDrawn.game = game;
+    gameDrawn.cellSize = cellSize;
+    gameDrawn.palette = palette;
+    gameDrawn.markers = settings.markers;
+    gameDrawn.food = game.food;
+    gameDrawn.foodAlpha = foodAlpha;
+}
+
+// Draws one cell of the game layer again from scratch, the same way
+// drawGameLayer would: the snakes on it (from the occupancy grid, lowest
+// index first) and then the fruit, whose stem sticks up into the cell above
+// it. Clipping keeps the drawing inside the cell.
+function redrawCell(cell, palette, scale) {
+    const layer = gameLayerCtx;
+    const owners = game.occupancy[cell];
+    const cellX = cell % game.gridWidth;
+    const cellY = Math.floor(cell / game.gridWidth);
+    const x = cellX * cellSize;
+    const y = cellY * cellSize;
+    const size = cellSize - 1;
+
+    layer.save();
+    layer.beginPath();
+    layer.rect(x, y, cellSize, cellSize);
+    layer.clip();
+    layer.clearRect(x, y, cellSize, cellSize);
+
+    // The list has one entry per segment, in no particular order, so each
+    // round picks the lowest snake index that's bigger than the last one
+    let snakeIndex = -1;
+    while (true) {
+        let next = -1;
+        let segments = 0;
+        for (let i = 0; i < owners.length; i++) {
+            if (owners[i] <= snakeIndex) continue;
+            if (next === -1 || owners[i] < next) {
+                next = owners[i];
+                segments = 0;
+            }
+            if (owners[i] === next) segments++;
+        }
+        if (next === -1) break;
+        snakeIndex = next;
+
+        // Its body segments on this cell, then its head if that's here too
+        const snake = game.snakes[snakeIndex];
+        const head = snake.body[0];
+        const hasHead = head.x === cellX && head.y === cellY;
+        if (hasHead) segments--;
+        layer.globalAlpha = gameDrawn.alphas[snakeIndex];
+        layer.fillStyle = gameDrawn.colors[snakeIndex];
+        for (let i = 0; i < segments; i++) {
+            layer.fillRect(x, y, size, size);
+            if (settings.markers) drawMarker(gameDrawn.snakeMarkers[snakeIndex], x, y, size, layer);
+        }
+        if (hasHead) {
+            layer.fillRect(x, y, size, size);
+            drawEyes(layer, snake, palette, x, y, scale);
+        }
+    }
+
+    const food = game.food;
+    if (food && gameDrawn.foodAlpha > 0 && food.x === cellX && (food.y === cellY || food.y === cellY + 1)) {
+        layer.globalAlpha = gameDrawn.foodAlpha;
+        drawFood(layer, palette, scale);
+    }
+    layer.restore();
+}
+
+// Redraws just the cells that changed for each snake that moved one cell:
+// its new head, its old head and the tail it left behind
+function redrawMovedCells(palette, scale) {
+    for (let i = 0; i < game.snakes.length; i++) {
+        const snake = game.snakes[i];
+        const head = getCellIndex(snake.body[0]);
+        if (head === gameDrawn.heads[i]) continue;
+
+        redrawCell(gameDrawn.tails[i], palette, scale);
+        redrawCell(gameDrawn.heads[i], palette, scale);
+        redrawCell(head, palette, scale);
+        gameDrawn.heads[i] = head;
+        gameDrawn.tails[i] = getCellIndex(snake.body[snake.body.length - 1]);
+    }
+}
+
+// ====== DRAWING ======
+// Brings both layers up to date and copies them onto the canvas
+// Called once a frame from draw()
+function drawLayers() {
+    // Eyes, stems and leaves were designed for CELL_SIZE cells, so scale them with the grid
+    const scale = cellSize / CELL_SIZE;
+
+    // Colors come from the theme, or the palette picked in the accessibility settings
+    const palette = getPalette();
+    const reducedMotion = isReducedMotion();
+
+    const boardResized = fitLayer(boardLayer);
+    if (boardResized || boardDrawn.game !== game || boardDrawn.cellSize !== cellSize || boardDrawn.palette !== palette) {
+        drawBoardLayer(palette, scale);
+        boardDrawn.game = game;
+        boardDrawn.cellSize = cellSize;
+        boardDrawn.palette = palette;
+    }
+
+    const gameResized = fitLayer(gameLayer);
+    if (gameResized || !canRedrawCells(palette, reducedMotion)) {
+        drawGameLayer(palette, scale, reducedMotion);
+    } else {
+        redrawMovedCells(palette, scale);
+    }
+
+    ctx.drawImage(boardLayer, 0, 0);
+    ctx.drawImage(gameLayer, 0, 0);
+}
+
+// ====== CRASH HIGHLIGHT ======
+// On the game over screen the board is dimmed, so the snakes in the crash are
+// drawn again on top: the crashed snake outlined in white, the snake it ran
+// into (if it was another one) outlined in CRASH_COLOR, and a ring around the
+// cell where it happened - the ring pulses unless Less Motion is on.
+const CRASH_COLOR = '#ff4040';
+const CRASH_PULSE_TIME = 800;  // How long one pulse of the ring takes (ms)
+
+// Outlines every segment of a snake
+function outlineSnake(snake, color) {
+    ctx.strokeStyle = color;
+    for (let i = 0; i < snake.body.length; i++) {
+        ctx.strokeRect(snake.body[i].x * cellSize + 1, snake.body[i].y * cellSize + 1, cellSize - 3, cellSize - 3);
+    }
+}
+
+function drawCrashHighlight() {
+    const crashes = game.crashes;
+    const pulse = isReducedMotion() ? 0 : Math.sin(2 * Math.PI * performance.now() / CRASH_PULSE_TIME);
+
+    ctx.save();
+    ctx.lineWidth = Math.max(1, 2 * cellSize / CELL_SIZE);
+    for (let i = 0; i < crashes.length; i++) {
+        const crash = crashes[i];
+        if (crash.otherSnake !== null) outlineSnake(game.snakes[crash.otherSnake], CRASH_COLOR);
+        outlineSnake(game.snakes[crash.snake], '#fff');
+
+        ctx.strokeStyle = CRASH_COLOR;
+        ctx.beginPath();
+        ctx.arc((crash.x + 0.5) * cellSize, (crash.y + 0.5) * cellSize, cellSize * (1.2 + 0.3 * pulse), 0, Math.PI * 2);
+        ctx.stroke();
+    }
+    ctx.restore();
+}
+
+// ====== BENCHMARK ======
+// A scene with lots of snakes (500 unless a count is given) for measuring how
+// long drawing takes. Open the game with ?benchmark (or ?benchmark=1000), or
+// call startBenchmark() from the browser console; Escape leaves it.
+// The snakes drive along their own rows without the game rules (so it
+// measures drawing, not the simulation), each on its own timing so that
+// something moves on most frames - the worst case for the game layer.
+// The timings come from the game's seeded random numbers, so every run of the
+// same size is the same and frame times can be compared between runs.
+// Draw time and frame rate are shown in the corner and logged once a second.
+const BENCHMARK_SNAKES = 500;
+const BENCHMARK_GRID_WIDTH = 160;
+const BENCHMARK_LANE_LENGTH = 12;  // Cells of row per snake (the longest is 10)
+const BENCHMARK_REPORT_TIME = 1000;  // How often the numbers are updated (ms)
+
+// The running benchmark, or null
+// { frames, drawTime, maxDrawTime, frameTime, elapsed, report }
+let benchmark = null;
+
+// Replaces the game with the benchmark scene
+function startBenchmark(count = BENCHMARK_SNAKES) {
+    const perRow = Math.floor(BENCHMARK_GRID_WIDTH / BENCHMARK_LANE_LENGTH);
+    const rows = Math.ceil(count / perRow);
+
+    // Rows of snakes with an empty row between each, the fruit in the last empty row
+    game = createGameState({
+        gridWidth: BENCHMARK_GRID_WIDTH,
+        gridHeight: 2 * rows + 2 * BORDER_WIDTH,
+        seed: 1
+    });
+    clearSnakes(game);
+    for (let i = 0; i < count; i++) {
+        const row = Math.floor(i / perRow);
+        const direction = row % 2 === 0 ? { x: 1, y: 0 } : { x: -1, y: 0 };
+        const snake = createSnake(0, BORDER_WIDTH + 2 * row, direction);
+        const length = 4 + i % 7;
+        const headX = (i % perRow) * BENCHMARK_LANE_LENGTH + (direction.x === 1 ? length - 1 : 0);
+        snake.body.length = 0;
+        for (let segment = 0; segment < length; segment++) {
+            snake.body.push({ x: headX - segment * direction.x, y: BORDER_WIDTH + 2 * row });
+        }
+        // Every snake in a row goes at the same speed so they never catch up
+        snake.speed = 60 + (row % 5) * 20;
+        snake.deltaTime = nextRandom(game) * snake.speed;
+        addSnake(game, snake);
+    }
+    game.food = { x: Math.floor(BENCHMARK_GRID_WIDTH / 2), y: 2 * rows + 1, type: 'apple', rotTick: 0 };
+
+    gamePaused = false;
+    showSettings = false;
+    playback = null;
+    leaderboardView = null;
+    resizeCanvas();
+    benchmark = { frames: 0, drawTime: 0, maxDrawTime: 0, frameTime: 0, elapsed: 0, report: 'Measuring...' };
+    simLog.info(`Benchmark started with ${count} snakes on a ${game.gridWidth}x${game.gridHeight} grid`);
+}
+
+// Leaves the benchmark for a normal game
+function stopBenchmark() {
+    benchmark = null;
+    restartGame();
+}
+
+// Moves every snake whose time has come one cell along its row, wrapping around
+// (the tail segment is reused as the new head, so nothing new is made)
+// The occupancy grid follows along (two quick updates a move), so the state stays a valid game
+function moveBenchmarkSnakes(frameTime) {
+    for (let i = 0; i < game.snakes.length; i++) {
+        const snake = game.snakes[i];
+        snake.deltaTime += frameTime;
+        while (snake.deltaTime >= snake.speed) {
+            snake.deltaTime -= snake.speed;
+            const head = snake.body[0];
+            const tail = snake.body.pop();
+            leaveCell(game, snake, tail);
+            tail.x = (head.x + snake.direction.x + game.gridWidth) % game.gridWidth;
+            tail.y = head.y;
+            snake.body.unshift(tail);
+            occupyCell(game, snake, tail);
+        }
+    }
+}
+
+// Runs one frame of the benchmark: moves the snakes, draws and times the drawing
+// Called from gameLoop() instead of the game while the benchmark is on
+function updateBenchmark(frameTime) {
+    moveBenchmarkSnakes(frameTime);
+    game.tick++;
+
+    const start = performance.now();
+    draw();
+    const drawTime = performance.now() - start;
+
+    benchmark.frames++;
+    benchmark.drawTime += drawTime;
+    benchmark.maxDrawTime = Math.max(benchmark.maxDrawTime, drawTime);
+    benchmark.frameTime += frameTime;
+    benchmark.elapsed += frameTime;
+    if (benchmark.elapsed >= BENCHMARK_REPORT_TIME) {
+        const averageDrawTime = benchmark.drawTime / benchmark.frames;
+        const fps = 1000 * benchmark.frames / benchmark.frameTime;
+        benchmark.report = `${game.snakes.length} snakes - draw ${averageDrawTime.toFixed(2)} ms (max ${benchmark.maxDrawTime.toFixed(2)} ms) - ${fps.toFixed(0)} fps`;
+        simLog.info('Benchmark:', benchmark.report);
+        benchmark.frames = 0;
+        benchmark.drawTime = 0;
+        benchmark.maxDrawTime = 0;
+        benchmark.frameTime = 0;
+        benchmark.elapsed = 0;
+    }
+
+    drawBenchmarkReport();
+}
+
+// Shows the latest numbers in the top left corner
+function drawBenchmarkReport() {
+    ctx.save();
+    ctx.font = '16px Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.fillRect(MENU_PADDING, MENU_PADDING, 520, 52);
+    ctx.fillStyle = '#fff';
+    ctx.fillText(`Benchmark: ${benchmark.report}`, 2 * MENU_PADDING, MENU_PADDING + 16);
+    ctx.fillText('Press Escape to stop', 2 * MENU_PADDING, MENU_PADDING + 36);
+    ctx.restore();
+}
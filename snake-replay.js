@@ -0,0 +1,140 @@
+// ====== REPLAYS ======
+// Records a run so it can be saved as a JSON file and played back later.
+// Because every random decision comes from the game's seed and the game always
+// moves in fixed ticks, a replay only needs the starting setup, how many ticks
+// ran, and on which tick the player turned.
+// Like snake-core.js, this file has no DOM code and also runs in Node.
+
+// The core rules: loaded with require() in Node, already globals in the browser
+const replayCore = typeof module !== 'undefined' && module.exports
+    ? require('./snake-core.js')
+    : { TICK_MS, MAX_PLAYERS, createGameState, getInputTurns, parseLevel, levelToText, step };
+
+// Bumped whenever the file layout or the game rules change, so replays from
+// an older version are turned away instead of playing out differently
+// Version 2: fixed-length ticks instead of recording each frame's time
+// Version 3: safe spawning, spawn clearance and protection rules
+// Version 4: the grid keeps its size for the whole run (no resize events)
+// Version 5: per-snake turn queues
+// Version 6: levels (the whole level is stored in the settings)
+// Version 7: food zones in levels
+// Version 8: fruit types and power-ups
+// Version 9: two-player versus (events say which player turned)
+const REPLAY_VERSION = 9;
+
+// ====== RECORDING ======
+// Starts a new recording for a game that was just created
+function createReplay(state) {
+    return {
+        version: REPLAY_VERSION,
+        // Everything createGameState needs to rebuild the starting position
+        gridWidth: state.gridWidth,
+        gridHeight: state.gridHeight,
+        settings: Object.assign({}, state.rules),
+        seed: state.seed,
+        tickMs: replayCore.TICK_MS,  // Length of each tick
+        tickCount: 0,  // How many ticks the run lasted
+        // Direction changes, in order: { tick, player, direction: { x, y } }
+        events: []
+    };
+}
+
+// Records one call to step() - call it with the same input, before stepping
+function recordStep(replay, tick, input) {
+    replayCore.getInputTurns(input).forEach(turn => {
+        replay.events.push({
+            tick: tick,
+            player: turn.player,
+            direction: { x: turn.direction.x, y: turn.direction.y }
+        });
+    });
+    replay.tickCount++;
+}
+
+// ====== LOADING ======
+// Checks that data read from a file looks like a replay we can play
+// Throws an Error explaining what is wrong if it doesn't
+function validateReplay(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Replay file is not a JSON object');
+    }
+    if (data.version !== REPLAY_VERSION) {
+        throw new Error(`Replay was made with a different version of the game (version ${data.version})`);
+    }
+    if (!(data.gridWidth > 0) || !(data.gridHeight > 0)) {
+        throw new Error('Replay has no grid size');
+    }
+    if (typeof data.seed !== 'number' || !data.settings || typeof data.settings !== 'object') {
+        throw new Error('Replay has no seed or settings');
+    }
+    const players = data.settings.players;
+    if (!Number.isInteger(players) || players < 1 || players > replayCore.MAX_PLAYERS) {
+        throw new Error(`Replay has an invalid number of players (${players})`);
+    }
+    if (!isReplayLevel(data.settings.level)) {
+        throw new Error('Replay has a missing or broken level');
+    }
+    if (data.tickMs !== replayCore.TICK_MS || !(data.tickCount >= 0) || !Array.isArray(data.events)) {
+        throw new Error('Replay has no recorded ticks');
+    }
+    return data;
+}
+
+// Checks the level saved in a replay's settings: null (an empty grid) or a
+// level exactly as parseLevel makes it. Writing it out as level text and
+// reading it back has to give the same level, so nothing is missing or out of place.
+function isReplayLevel(level) {
+    if (level === null) return true;
+    if (!level || typeof level !== 'object') return false;
+    try {
+        const text = replayCore.levelToText(level);
+        return JSON.stringify(replayCore.parseLevel(text)) === JSON.stringify(level);
+    } catch (error) {
+        return false;
+    }
+}
+
+// ====== PLAYBACK ======
+// Builds the game exactly as it was when the recording started
+function createReplayGame(replay) {
+    return replayCore.createGameState(Object.assign({
+        gridWidth: replay.gridWidth,
+        gridHeight: replay.gridHeight,
+        seed: replay.seed
+    }, replay.settings));
+}
+
+// Runs the next recorded tick on a game made by createReplayGame
+// eventIndex says how far through replay.events we are; the new index is returned
+function stepReplay(state, replay, eventIndex) {
+    const tick = state.tick;
+    const turns = [];
+
+    // Use the directions the players picked on this tick, if any
+    while (eventIndex < replay.events.length && replay.events[eventIndex].tick <= tick) {
+        const event = replay.events[eventIndex];
+        turns.push({ player: event.player, direction: event.direction });
+        eventIndex++;
+    }
+
+    replayCore.step(state, turns.length > 0 ? { turns: turns } : null, replay.tickMs);
+    return eventIndex;
+}
+
+// Total play time of a replay in milliseconds
+function getReplayDuration(replay) {
+    return replay.tickCount * replay.tickMs;
+}
+
+// ====== EXPORTS ======
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REPLAY_VERSION,
+        createReplay,
+        recordStep,
+        validateReplay,
+        createReplayGame,
+        stepReplay,
+        getReplayDuration
+    };
+}
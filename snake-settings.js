@@ -0,0 +1,283 @@
+// ====== SETTINGS ======
+// Every player setting is declared once here: its type, default, allowed values,
+// which key changes it in the settings menu and whether a change only counts
+// from the next game. Loading, saving, checking, export/import and the menu's
+// "restart required" warning all work from this list.
+// Values live in the settings object - read ones with a `requires` through getSetting().
+
+const SETTINGS_KEY = 'snake_settings';  // localStorage key for the saved settings
+
+// Bumped whenever saved settings need converting (see SETTINGS_MIGRATIONS)
+// Version 0: one localStorage key per setting (snake_speedIncrease and so on)
+// Version 1: every setting in one JSON object
+const SETTINGS_VERSION = 1;
+
+// type: 'boolean', 'choice' (one of values()), 'list' (any of values()) or 'seed' (a whole number, or null for random)
+// keepUnknown: a choice that also keeps text values not in values() (see control)
+// requires: a boolean setting that has to be on for this one to count
+// restart: true if a change only takes effect from the next game
+// key: the key that changes it in the settings menu (see getSettingsMenu) - the
+// gamepad, accessibility and sound settings have pages of their own with number keys instead
+// change: what changing it does, if not the usual toggle or next choice
+// onChange: called after the value has changed
+// oldKey: where version 0 kept it (settings added later don't have one)
+const SETTINGS_SCHEMA = {
+    showLiveCounter: { type: 'boolean', default: false, label: 'Live Counter', key: 't', restart: false, oldKey: 'snake_showLiveCounter' },
+    speedIncrease: { type: 'boolean', default: true, label: 'Speed Increase', key: 'y', restart: true, oldKey: 'snake_speedIncrease' },
+    individualSpeeds: { type: 'boolean', default: true, label: 'Individual Speeds', key: 'i', requires: 'speedIncrease', restart: true, oldKey: 'snake_individualSpeeds' },
+    seed: { type: 'seed', default: null, label: 'Seed', key: 'd', restart: true, change: () => promptForSeed(), oldKey: 'snake_seed' },
+    gameMode: { type: 'choice', default: 'classic', values: () => GAME_MODES, label: 'Mode', key: 'm', restart: true, oldKey: 'snake_gameMode' },
+    players: { type: 'choice', default: 1, values: () => [1, 2], label: 'Players', key: 'n', restart: true, oldKey: 'snake_players' },
+    // A bot registered from the console isn't there yet when the settings load, so
+    // unknown ids are kept - until it's registered again, player 1 uses the keyboard
+    control: {
+        type: 'choice', default: 'keyboard', values: () => getControllerIds(), keepUnknown: true, label: 'Control', key: 'a', restart: false,
+        onChange: () => { autoplayLink = false; },  // Picking a controller ends a ?autoplay demo
+        oldKey: 'snake_control'
+    },
+    level: { type: 'choice', default: null, values: () => [null].concat(levels.map(level => level.name)), label: 'Level', key: 'v', restart: true, oldKey: 'snake_level' },
+    fruits: { type: 'list', default: FRUIT_NAMES, values: () => FRUIT_NAMES, label: 'Fruits', restart: true, oldKey: 'snake_fruits' },
+    spawnClearance: { type: 'choice', default: 5, values: () => SPAWN_CLEARANCE_OPTIONS, label: 'Spawn Clearance', key: 'c', restart: true, oldKey: 'snake_spawnClearance' },
+    spawnProtection: { type: 'boolean', default: true, label: 'Spawn Protection', key: 'g', restart: true, oldKey: 'snake_spawnProtection' },
+    instantReplay: { type: 'boolean', default: true, label: 'Instant Replay', key: 'w', restart: false },
+    gamepadDeadZone: { type: 'choice', default: 0.35, values: () => GAMEPAD_DEAD_ZONES, label: 'Stick Dead Zone', restart: false },
+    gamepadPause: { type: 'choice', default: 'start', values: () => GAMEPAD_ACTION_BUTTONS, label: 'Pause Button', restart: false },
+    gamepadRestart: { type: 'choice', default: 'y', values: () => GAMEPAD_ACTION_BUTTONS, label: 'Restart Button', restart: false },
+    gamepadSettings: { type: 'choice', default: 'x', values: () => GAMEPAD_ACTION_BUTTONS, label: 'Settings Button', restart: false },
+    theme: { type: 'choice', default: 'classic', values: () => getThemeIds(), label: 'Theme', key: 'e', restart: false, onChange: () => updatePageColors() },
+    palette: { type: 'choice', default: 'standard', values: () => ['standard'].concat(Object.keys(PALETTES)), label: 'Colors', restart: false, onChange: () => updatePageColors() },
+    markers: { type: 'boolean', default: false, label: 'Shape Markers', restart: false },
+    // 'auto' follows the system's "reduce motion" setting
+    reducedMotion: { type: 'choice', default: 'auto', values: () => ['auto', 'on', 'off'], label: 'Less Motion', restart: false },
+    masterVolume: { type: 'choice', default: 0.75, values: () => VOLUME_LEVELS, label: 'Volume', restart: false, onChange: () => updateVolumes() },
+    sfxVolume: { type: 'choice', default: 1, values: () => VOLUME_LEVELS, label: 'Effects Volume', restart: false, onChange: () => updateVolumes() },
+    musicVolume: { type: 'choice', default: 0.5, values: () => VOLUME_LEVELS, label: 'Music Volume', restart: false, onChange: () => updateVolumes() },
+    muted: { type: 'boolean', default: false, label: 'Mute', restart: false, onChange: () => updateVolumes() }
+};
+
+// The current value of every setting, starting from the defaults
+const settings = {};
+Object.keys(SETTINGS_SCHEMA).forEach(name => {
+    settings[name] = SETTINGS_SCHEMA[name].default;
+});
+
+// The values of the restart settings when the running game started
+let gameSettings = {};
+
+// ====== READING AND CHANGING ======
+// True if a value is allowed for a setting
+function isValidSetting(name, value) {
+    const schema = SETTINGS_SCHEMA[name];
+    if (!schema) return false;
+    switch (schema.type) {
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'choice':
+            if (schema.keepUnknown && typeof value === 'string' && value !== '') return true;
+            return schema.values().includes(value);
+        case 'list':
+            return Array.isArray(value) && value.every(item => schema.values().includes(item));
+        case 'seed':
+            return value === null || (Number.isInteger(value) && value >= 0 && value <= 0xffffffff);
+    }
+    return false;
+}
+
+// The value a setting has in play: one whose `requires` setting is off counts as off
+function getSetting(name) {
+    const schema = SETTINGS_SCHEMA[name];
+    if (schema.requires && !getSetting(schema.requires)) return false;
+    return settings[name];
+}
+
+// Sets a setting and saves all of them
+// Returns false (and changes nothing) if the value isn't allowed
+function setSetting(name, value) {
+    if (!isValidSetting(name, value)) {
+        settingsLog.warn('Invalid setting:', name, value);
+        return false;
+    }
+
+    const schema = SETTINGS_SCHEMA[name];
+    // Lists keep the order of values(), whatever order they came in
+    settings[name] = schema.type === 'list' ? schema.values().filter(item => value.includes(item)) : value;
+    if (schema.onChange) schema.onChange(settings[name]);
+    saveSettings();
+    refreshMenu();  // The menus show the settings
+    settingsLog.info('Setting changed:', name, settings[name]);
+    return true;
+}
+
+// What pressing a setting's key or button does: booleans flip, choices move on
+// to the next value (wrapping back to the first), and others use their own change()
+function changeSetting(name) {
+    const schema = SETTINGS_SCHEMA[name];
+    if (schema.change) {
+        schema.change();
+    } else if (schema.type === 'boolean') {
+        setSetting(name, !settings[name]);
+    } else if (schema.type === 'choice') {
+        const values = schema.values();
+        setSetting(name, values[(values.indexOf(settings[name]) + 1) % values.length]);
+    }
+}
+
+// ====== RESTART WARNING ======
+// Remembers the restart settings a game is started with
+function rememberGameSettings() {
+    gameSettings = {};
+    Object.keys(SETTINGS_SCHEMA).forEach(name => {
+        if (SETTINGS_SCHEMA[name].restart) gameSettings[name] = getSetting(name);
+    });
+}
+
+// Labels of the settings changed since the running game started that only
+// count from the next game (empty if there are none)
+function getPendingRestartSettings() {
+    return Object.keys(gameSettings)
+        .filter(name => JSON.stringify(getSetting(name)) !== JSON.stringify(gameSettings[name]))
+        .map(name => SETTINGS_SCHEMA[name].label);
+}
+
+// ====== STORAGE ======
+// Each step turns saved data of one version into the next version
+// (SETTINGS_MIGRATIONS[0] turns version 0 into version 1, and so on)
+const SETTINGS_MIGRATIONS = [
+    // Version 0 → 1: gather the old separate keys into one object
+    () => {
+        const values = {};
+        Object.keys(SETTINGS_SCHEMA).forEach(name => {
+            if (!SETTINGS_SCHEMA[name].oldKey) return;
+            const text = localStorage.getItem(SETTINGS_SCHEMA[name].oldKey);
+            if (text !== null) values[name] = parseOldSetting(name, text);
+        });
+        return { version: 1, values: values };
+    }
+];
+
+// Turns a version 0 text value back into a setting value (undefined if it makes no sense)
+function parseOldSetting(name, text) {
+    const schema = SETTINGS_SCHEMA[name];
+    switch (schema.type) {
+        case 'boolean':
+            return text === 'true';
+        case 'choice':
+            // Saved as text, with an empty string for null
+            return schema.values().find(value => (value === null ? '' : String(value)) === text);
+        case 'list':
+            return text ? text.split(',') : [];
+        case 'seed':
+            return parseSeed(text);
+    }
+    return undefined;
+}
+
+// Brings saved settings data of any older version up to SETTINGS_VERSION
+// Throws an Error for data from a newer version: its values could mean
+// something this version doesn't know about, so none of them are used
+function migrateSettings(data) {
+    if (data.version > SETTINGS_VERSION) {
+        throw new Error(`Settings were made with a newer version of the game (version ${data.version})`);
+    }
+    while (data.version < SETTINGS_VERSION) {
+        data = SETTINGS_MIGRATIONS[data.version](data);
+        settingsLog.info('Settings migrated to version', data.version);
+    }
+    return data;
+}
+
+// Uses every allowed value from a { name: value } object, running each one's onChange
+// Returns the names that were skipped because the value isn't allowed
+function applySettingValues(values) {
+    const skipped = [];
+    Object.keys(values).forEach(name => {
+        if (!isValidSetting(name, values[name])) {
+            skipped.push(name);
+            return;
+        }
+        const schema = SETTINGS_SCHEMA[name];
+        settings[name] = schema.type === 'list' ? schema.values().filter(item => values[name].includes(item)) : values[name];
+        if (schema.onChange) schema.onChange(settings[name]);
+    });
+    refreshMenu();
+    return skipped;
+}
+
+// Loads the saved settings (moving settings saved by older versions over first)
+function loadSavedSettings() {
+    let data = null;
+    const saved = localStorage.getItem(SETTINGS_KEY);
+    if (saved !== null) {
+        try {
+            data = JSON.parse(saved);
+        } catch (error) {
+            settingsLog.warn('Saved settings could not be read:', error.message);
+        }
+    }
+
+    if (!data || typeof data !== 'object' || !data.values) {
+        // Nothing saved in one piece yet - start from the old separate keys
+        data = migrateSettings({ version: 0 });
+        Object.keys(SETTINGS_SCHEMA).forEach(name => {
+            if (SETTINGS_SCHEMA[name].oldKey) localStorage.removeItem(SETTINGS_SCHEMA[name].oldKey);
+        });
+        applySettingValues(data.values);
+        saveSettings();
+    } else {
+        try {
+            applySettingValues(migrateSettings(data).values);
+        } catch (error) {
+            // Left as they are in storage, and the defaults are used this time
+            settingsLog.warn('Saved settings not used:', error.message);
+        }
+    }
+}
+
+// Saves every setting as one versioned JSON object
+function saveSettings() {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ version: SETTINGS_VERSION, values: settings }));
+}
+
+// ====== EXPORT AND IMPORT ======
+// Downloads the settings as a JSON file
+function exportSettings() {
+    const blob = new Blob([JSON.stringify({ version: SETTINGS_VERSION, values: settings }, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'snake-settings.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    settingsLog.info('Settings exported:', settings);
+}
+
+// Asks for a settings file and uses every allowed value in it
+function importSettings() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) return;
+
+        file.text().then(text => {
+            const data = JSON.parse(text);
+            if (!data || typeof data !== 'object' || !(data.version >= 1) || !data.values) {
+                throw new Error('File is not a settings file');
+            }
+            const skipped = applySettingValues(migrateSettings(data).values);
+            saveSettings();
+            settingsLog.info('Settings imported:', settings);
+            if (skipped.length > 0) {
+                window.alert(`Some settings could not be used: ${skipped.join(', ')}`);
+            }
+        }).catch(err => {
+            settingsLog.error('Error importing settings:', err);
+            window.alert(`Could not import settings: ${err.message}`);
+        });
+    });
+    input.click();
+}
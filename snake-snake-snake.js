@@ -4,80 +4,478 @@ const canvas = document.getElementById('snakeCanvas');
 const ctx = canvas.getContext('2d');
 
 // ====== GAME CONSTANTS AND STATE VARIABLES ======
-// CELL_SIZE: How many pixels each grid cell takes up on screen
+// CELL_SIZE: How many pixels each grid cell takes up on screen when a game starts
 // A bigger number means bigger snake and food pieces
+// Each new game's grid is as many cells of this size as fit in the window
 const CELL_SIZE = 20;
 
-// SNAKE_SPEED: Time between snake movements in milliseconds
-// Lower number = faster snake (150 means snake moves about 6-7 times per second)
-const SNAKE_SPEED = 150;
-
-// Grid dimensions will be calculated based on window size
-// These variables store how many cells fit in the window width and height
-let GRID_WIDTH, GRID_HEIGHT;
-
-// Main game objects - declared but not initialized yet
-// We'll set these up properly in initializeGame()
-let snakes = [];  // Array to store multiple snakes
-let food;   // Will store the food's position
-let gameOver = false;  // Game state flag
-let inputProcessed = false;  // Prevents multiple inputs per frame
-let lastInputTime = 0;  // Track when last input was processed
-let minInputInterval = 50;  // Minimum time between inputs (ms)
-let highScore = 0;  // Track highest number of snakes achieved
+// cellSize: How many pixels each cell takes up right now
+// The grid stays the same for a whole game, so when the window is resized
+// the grid is scaled up or down to fit instead (see resizeCanvas)
+let cellSize = CELL_SIZE;
+
+// The running game - snakes, food and game over flag all live in here
+// (see createGameState in snake-core.js). Set up in initializeGame()
+let game;
 let showSettings = false;  // Settings menu state
-let showLiveCounter = false;  // Show/hide live score counter
-let speedIncrease = true;  // Make snakes faster with each fruit eaten
-let individualSpeeds = true;  // Each snake speeds up independently
+let settingsPage = null;  // Page of the settings menu that's open ('fruits', 'gamepad', 'accessibility' or 'sound'), null for the main page
+// The player's settings (live counter, speeds, mode, level...) are in the
+// settings object - see snake-settings.js
+let autoplayLink = false;  // Opened with ?autoplay - the bot plays on its own (not saved)
 let gamePaused = false;  // Game pause state
-let speedSettingChanged = false;  // Track if speed settings were changed while paused
-let originalSpeedIncrease = false;  // Speed increase setting when game was paused
-let originalIndividualSpeeds = false;  // Individual speeds setting when game was paused
+let urlSeed = null;  // Seed from a ?seed= URL parameter (wins over the setting)
+
+// ====== SPAWN SETTINGS ======
+const SPAWN_CLEARANCE_OPTIONS = [0, 3, 5, 8];  // Choices for the spawnClearance setting (cells)
+const SPAWN_PROTECTION_TIME = 1500;  // How long spawn protection lasts (ms)
 
 // ====== TOUCH CONTROLS ======
 let touchStartX = 0;  // Starting X position of touch
 let touchStartY = 0;  // Starting Y position of touch
 let touchStartTime = 0;  // When touch started
+let touchLastY = 0;  // Where the finger was on the last move (for scrolling menus)
 const minSwipeDistance = 30;  // Minimum distance for a swipe (pixels)
 const maxSwipeTime = 500;  // Maximum time for a swipe (milliseconds)
 
 // ====== SETTINGS PERSISTENCE ======
 // Load settings from localStorage on page load
 function loadSettings() {
-    const savedLiveCounter = localStorage.getItem('snake_showLiveCounter');
-    const savedSpeedIncrease = localStorage.getItem('snake_speedIncrease');
-    const savedIndividualSpeeds = localStorage.getItem('snake_individualSpeeds');
-    const savedHighScore = localStorage.getItem('snake_highScore');
+    loadCustomThemes();  // Before the settings, so a custom theme can be picked (see snake-themes.js)
+    loadSavedSettings();  // See snake-settings.js
+    loadLeaderboards();  // High scores (see snake-leaderboard.js)
+    updatePageColors();
     
-    if (savedLiveCounter !== null) {
-        showLiveCounter = savedLiveCounter === 'true';
+    // A ?seed=1234 link plays that seed without changing the saved setting
+    const seedParam = new URLSearchParams(window.location.search).get('seed');
+    if (seedParam !== null) {
+        urlSeed = parseSeed(seedParam);
     }
-    if (savedSpeedIncrease !== null) {
-        speedIncrease = savedSpeedIncrease === 'true';
+    
+    // A ?autoplay link lets the autopilot play for demos, restarting after each game
+    autoplayLink = new URLSearchParams(window.location.search).has('autoplay');
+    
+    settingsLog.info('Settings loaded:', Object.assign({ autoplayLink, urlSeed }, settings));
+}
+
+// ====== SEED SETTING ======
+// Turns typed text into a seed number, or null if it isn't a whole number
+function parseSeed(text) {
+    const trimmed = String(text).trim();
+    if (!/^\d+$/.test(trimmed)) return null;
+    return parseInt(trimmed) >>> 0;
+}
+
+// The seed the next game should use (undefined = pick a random one)
+function getNextSeed() {
+    if (urlSeed !== null) return urlSeed;
+    if (settings.seed !== null) return settings.seed;
+    return undefined;
+}
+
+// Asks the player for a seed to replay; leaving it empty goes back to random seeds
+function promptForSeed() {
+    const current = settings.seed !== null ? settings.seed.toString() : '';
+    const answer = window.prompt('Enter a seed number to replay (leave empty for random):', current);
+    if (answer === null) return;  // Cancelled
+    
+    urlSeed = null;  // A seed picked in the menu replaces the one from the link
+    setSetting('seed', parseSeed(answer));
+}
+
+// Text for the seed button in the settings menu
+function getSeedLabel() {
+    const seed = getNextSeed();
+    return seed !== undefined ? `Seed: ${seed}` : 'Seed: Random';
+}
+
+// ====== GAME MODE SETTING ======
+// Display names for the game modes
+const GAME_MODE_NAMES = { classic: 'Classic', walls: 'Walls' };
+
+// ====== LEVEL SETTING ======
+// The built-in levels from snake-levels.js, turned into level objects by loadLevels()
+let levels = [];
+let builtInLevelNames = [];  // Names of the built-in levels (saved levels can't use them)
+
+// Reads the built-in level texts and the levels saved from the editor,
+// skipping (and logging) any that aren't valid
+function loadLevels() {
+    levels = [];
+    LEVEL_TEXTS.forEach((text, index) => {
+        try {
+            levels.push(parseLevel(text, `Level ${index + 1}`));
+        } catch (error) {
+            settingsLog.warn(`Skipping level ${index + 1}:`, error.message);
+        }
+    });
+    builtInLevelNames = levels.map(level => level.name);
+    const slots = loadEditorSlots();
+    Object.keys(slots).forEach(name => {
+        if (isBuiltInLevel(name)) {
+            settingsLog.warn(`Skipping saved level "${name}": a built-in level has that name`);
+            return;
+        }
+        try {
+            const level = parseLevel(slots[name], name);
+            level.name = name;  // The slot name wins, so getLevel() finds it
+            levels.push(level);
+        } catch (error) {
+            settingsLog.warn(`Skipping saved level "${name}":`, error.message);
+        }
+    });
+    settingsLog.debug('Levels loaded:', levels.map(level => level.name));
+}
+
+// True if one of the built-in levels has this name
+function isBuiltInLevel(name) {
+    return builtInLevelNames.includes(name);
+}
+
+// Finds a loaded level by name (null if there's no such level)
+function getLevel(name) {
+    return levels.find(level => level.name === name) || null;
+}
+
+// ====== FRUIT SETTINGS ======
+// Display names for each fruit type (their colors are in the palettes, see snake-accessibility.js)
+const FRUIT_LABELS = { apple: 'Apple', golden: 'Golden', ice: 'Ice', shrink: 'Shrink', ghost: 'Ghost' };
+
+// Display names for the timed fruit effects, and the fruit whose color each is shown in
+const EFFECT_LABELS = { slow: 'Slow', ghost: 'Ghost' };
+const EFFECT_FRUITS = { slow: 'ice', ghost: 'ghost' };
+
+// Turns a fruit type on or off (used from the next game on)
+function toggleFruit(name) {
+    const fruits = settings.fruits;
+    setSetting('fruits', fruits.includes(name) ? fruits.filter(fruit => fruit !== name) : fruits.concat([name]));
+}
+
+// ====== MENU SCREENS ======
+// Each screen is a list of widgets, drawn and clicked through snake-ui.js
+
+// Opens the settings menu from the game over or pause screen
+function openSettings() {
+    showSettings = true;
+    settingsPage = null;
+    inputLog.debug('Settings opened');
+}
+
+function closeSettings() {
+    showSettings = false;
+}
+
+// The lines showing the score on the game over and pause screens
+// (in versus, how many snakes each player has)
+function getScoreWidgets() {
+    if (game.rules.players === 2) {
+        const counts = getPlayerSnakeCounts(game);
+        return [{ type: 'text', text: `${PLAYER_NAMES[0]}: ${counts[0]} snakes   ${PLAYER_NAMES[1]}: ${counts[1]} snakes`, font: '24px Arial' }];
+    }
+    return [
+        { type: 'text', text: `Snakes: ${game.snakes.length}   Points: ${game.points}`, font: '24px Arial' },
+        // High score for the rules this game is played with
+        { type: 'text', text: `High Score: ${getBestScore(game.rules)}` }
+    ];
+}
+
+// The game over screen
+function getGameOverMenu() {
+    const rank = getLastEntryRank();
+    let title = 'GAME OVER';
+    if (game.rules.players === 2) {
+        // Versus: who won
+        title = game.winner === null ? 'DRAW' : `${PLAYER_NAMES[game.winner].toUpperCase()} WINS`;
+    }
+    
+    const widgets = [{ type: 'title', text: title }];
+    // What the crashed snake ran into (it's highlighted on the board behind the menu)
+    if (game.crashes.length > 0) {
+        widgets.push({ type: 'text', text: describeCrash(game), color: CRASH_COLOR });
     }
-    if (savedIndividualSpeeds !== null) {
-        individualSpeeds = savedIndividualSpeeds === 'true';
+    widgets.push(...getScoreWidgets());
+    if (rank !== -1) {
+        widgets.push({ type: 'text', text: `New #${rank + 1} on the leaderboard!`, color: '#ffd700' });
     }
-    if (savedHighScore !== null) {
-        highScore = parseInt(savedHighScore) || 0;
+    widgets.push(
+        { type: 'spacer' },
+        { type: 'button', text: 'Settings', key: 'S', action: openSettings },
+        { type: 'button', text: 'Restart', key: 'R', action: restartGame },
+        // Replay buttons
+        { type: 'button', text: 'Export Replay', key: 'E', action: exportReplay },
+        { type: 'button', text: 'Load Replay', key: 'L', action: openReplayFile },
+        // Level editor button (takes you back there after a test-play)
+        { type: 'button', text: editor ? 'Back to Editor' : 'Level Editor', key: 'K', action: openEditor },
+        { type: 'button', text: 'Leaderboard', key: 'B', action: openLeaderboard }
+    );
+    // Name button if this run made the leaderboard
+    if (rank !== -1) {
+        widgets.push({ type: 'button', text: 'Add Your Name', key: 'N', action: nameLastEntry });
+    }
+    // Seed of this run, so it can be shared and replayed
+    widgets.push({ type: 'text', text: `Seed: ${game.seed}`, font: '16px Arial' });
+    return { id: 'gameOver', widgets: widgets };
+}
+
+// The pause screen
+function getPauseMenu() {
+    const widgets = [{ type: 'title', text: 'PAUSED' }].concat(getScoreWidgets());
+    widgets.push(
+        { type: 'spacer' },
+        { type: 'button', text: 'Settings', key: 'S', action: openSettings },
+        { type: 'button', text: 'Unpause', key: 'P', action: togglePause },
+        { type: 'button', text: 'Restart', key: 'R', action: restartGame },
+        { type: 'button', text: 'Leaderboard', key: 'B', action: openLeaderboard }
+    );
+    return { id: 'pause', widgets: widgets, back: togglePause };
+}
+
+// The settings menu (the same on the game over and pause screens)
+// Each setting's button uses the key listed in SETTINGS_SCHEMA (snake-settings.js)
+function getSettingsMenu() {
+    const settingButton = (name, text) => ({
+        type: 'button',
+        text: text,
+        key: SETTINGS_SCHEMA[name].key.toUpperCase(),
+        action: () => changeSetting(name)
+    });
+    
+    const widgets = [
+        { type: 'heading', text: 'SETTINGS' },
+        { type: 'text', text: `Live Score Counter: ${settings.showLiveCounter ? 'ON' : 'OFF'}` },
+        { type: 'text', text: `Speed Increase: ${settings.speedIncrease ? 'ON' : 'OFF'}` }
+    ];
+    // Individual speeds only counts (and is only shown) with speed increase on
+    if (settings.speedIncrease) {
+        widgets.push({ type: 'text', text: `Individual Speeds: ${settings.individualSpeeds ? 'ON' : 'OFF'}` });
     }
     
-    console.log('Settings loaded:', { showLiveCounter, speedIncrease, individualSpeeds, highScore });
+    // Warning if settings that only count from the next game were changed while paused
+    const pending = getPendingRestartSettings();
+    if (gamePaused && pending.length > 0) {
+        widgets.push({ type: 'warning', text: `⚠️ Restart required: ${pending.join(', ')}` });
+    }
+    
+    widgets.push(
+        { type: 'spacer' },
+        settingButton('showLiveCounter', 'Toggle Counter'),
+        settingButton('speedIncrease', 'Toggle Speed')
+    );
+    if (settings.speedIncrease) {
+        widgets.push(settingButton('individualSpeeds', 'Toggle Individual'));
+    }
+    widgets.push(
+        settingButton('seed', getSeedLabel()),
+        settingButton('gameMode', `Mode: ${GAME_MODE_NAMES[settings.gameMode]}`),
+        settingButton('players', `Players: ${settings.players}`),
+        settingButton('control', `Control: ${getController(getPlayerControlId(0)).name}`),
+        settingButton('level', `Level: ${settings.level || 'Open'}`),
+        { type: 'button', text: 'Fruits', key: 'F', action: () => { settingsPage = 'fruits'; } },
+        { type: 'button', text: 'Gamepad', key: 'J', action: () => { settingsPage = 'gamepad'; } },
+        { type: 'button', text: 'Accessibility', key: 'H', action: () => { settingsPage = 'accessibility'; } },
+        { type: 'button', text: 'Sound', key: 'Q', action: () => { settingsPage = 'sound'; } },
+        settingButton('theme', `Theme: ${getTheme().name}`),
+        { type: 'button', text: 'Load Theme', key: 'U', action: importTheme },
+        settingButton('spawnClearance', `Clearance: ${settings.spawnClearance}`),
+        settingButton('spawnProtection', `Protection: ${settings.spawnProtection ? 'ON' : 'OFF'}`),
+        settingButton('instantReplay', `Instant Replay: ${settings.instantReplay ? 'ON' : 'OFF'}`),
+        { type: 'button', text: 'Export Settings', key: 'X', action: exportSettings },
+        { type: 'button', text: 'Import Settings', key: 'O', action: importSettings },
+        { type: 'button', text: 'Restart', key: 'R', action: restartGame },
+        { type: 'button', text: 'Close', key: 'ESC', action: closeSettings }
+    );
+    return { id: 'settings', widgets: widgets, back: closeSettings };
 }
 
-// Save settings to localStorage
-function saveSettings() {
-    localStorage.setItem('snake_showLiveCounter', showLiveCounter.toString());
-    localStorage.setItem('snake_speedIncrease', speedIncrease.toString());
-    localStorage.setItem('snake_individualSpeeds', individualSpeeds.toString());
-    localStorage.setItem('snake_highScore', highScore.toString());
-    console.log('Settings saved:', { showLiveCounter, speedIncrease, individualSpeeds, highScore });
+// The fruit page of the settings menu
+// Each fruit has a button with its number key
+function getFruitMenu() {
+    const widgets = [{ type: 'heading', text: 'FRUITS' }];
+    
+    // With every fruit turned off, apples still appear
+    if (settings.fruits.length === 0) {
+        widgets.push({ type: 'warning', text: 'No fruit picked - apples will appear' });
+    }
+    FRUIT_NAMES.forEach((name, index) => {
+        widgets.push({
+            type: 'button',
+            text: `${FRUIT_LABELS[name]}: ${settings.fruits.includes(name) ? 'ON' : 'OFF'}`,
+            key: index + 1,
+            action: () => toggleFruit(name)
+        });
+    });
+    const back = () => { settingsPage = null; };
+    widgets.push({ type: 'button', text: 'Back', key: 'ESC', action: back });
+    return { id: 'fruits', widgets: widgets, back: back };
+}
+
+// The gamepad page of the settings menu
+// Each setting has a button with its number key, and moves on to the next choice
+function getGamepadMenu() {
+    const pads = getConnectedGamepads();
+    const buttonLabel = name => GAMEPAD_BUTTON_LABELS[settings[name]];
+    const back = () => { settingsPage = null; };
+    
+    return {
+        id: 'gamepad',
+        widgets: [
+            { type: 'heading', text: 'GAMEPAD' },
+            // Browsers only show a pad to the page once one of its buttons has been pressed
+            { type: 'text', text: pads.length > 0 ? pads.map(getGamepadName).join(', ') : 'No gamepad found - press a button on it', font: '16px Arial' },
+            { type: 'spacer' },
+            { type: 'button', text: `Dead Zone: ${Math.round(settings.gamepadDeadZone * 100)}%`, key: 1, action: () => changeSetting('gamepadDeadZone') },
+            { type: 'button', text: `Pause: ${buttonLabel('gamepadPause')}`, key: 2, action: () => changeSetting('gamepadPause') },
+            { type: 'button', text: `Restart: ${buttonLabel('gamepadRestart')}`, key: 3, action: () => changeSetting('gamepadRestart') },
+            { type: 'button', text: `Settings: ${buttonLabel('gamepadSettings')}`, key: 4, action: () => changeSetting('gamepadSettings') },
+            { type: 'button', text: 'Back', key: 'ESC', action: back }
+        ],
+        back: back
+    };
+}
+
+// The accessibility page of the settings menu (see snake-accessibility.js)
+// Each setting has a button with its number key, and moves on to the next choice
+function getAccessibilityMenu() {
+    const motionLabels = { auto: `Auto (${isReducedMotion() ? 'on' : 'off'})`, on: 'ON', off: 'OFF' };
+    const back = () => { settingsPage = null; };
+    
+    return {
+        id: 'accessibility',
+        widgets: [
+            { type: 'heading', text: 'ACCESSIBILITY' },
+            { type: 'spacer' },
+            { type: 'button', text: `Colors: ${PALETTES[settings.palette] ? PALETTES[settings.palette].name : 'Theme'}`, key: 1, action: () => changeSetting('palette') },
+            { type: 'button', text: `Shapes: ${settings.markers ? 'ON' : 'OFF'}`, key: 2, action: () => changeSetting('markers') },
+            { type: 'button', text: `Less Motion: ${motionLabels[settings.reducedMotion]}`, key: 3, action: () => changeSetting('reducedMotion') },
+            { type: 'button', text: 'Back', key: 'ESC', action: back }
+        ],
+        back: back
+    };
+}
+
+// The sound page of the settings menu (see snake-audio.js)
+// Each setting has a button with its number key, and moves on to the next choice
+function getSoundMenu() {
+    const percent = name => `${Math.round(settings[name] * 100)}%`;
+    const back = () => { settingsPage = null; };
+    
+    return {
+        id: 'sound',
+        widgets: [
+            { type: 'heading', text: 'SOUND' },
+            { type: 'spacer' },
+            { type: 'button', text: `Volume: ${percent('masterVolume')}`, key: 1, action: () => changeSetting('masterVolume') },
+            { type: 'button', text: `Effects: ${percent('sfxVolume')}`, key: 2, action: () => changeSetting('sfxVolume') },
+            { type: 'button', text: `Music: ${percent('musicVolume')}`, key: 3, action: () => changeSetting('musicVolume') },
+            { type: 'button', text: `Mute: ${settings.muted ? 'ON' : 'OFF'}`, key: 4, action: () => changeSetting('muted') },
+            { type: 'button', text: 'Back', key: 'ESC', action: back }
+        ],
+        back: back
+    };
+}
+
+// The menu getActiveMenu() built last, and what it was built for
+// Building the widget list makes new objects, so it's kept instead of being
+// built again every frame - until one of these changes or refreshMenu() is called
+const menuCache = {
+    menu: null,
+    fresh: false,
+    game: null,
+    gameOver: false,
+    paused: false,
+    showSettings: false,
+    settingsPage: null,
+    leaderboardView: null,
+    editor: null,
+    reducedMotion: false
+};
+
+// Makes the next getActiveMenu() build the menu again
+// Called after a menu button's action, a setting change or a gamepad (dis)connecting
+function refreshMenu() {
+    menuCache.fresh = false;
+}
+
+// The menu on screen right now, or null while playing
+function getActiveMenu() {
+    if (editor && !editor.testing) return null;
+    if (!game.gameOver && !gamePaused) return null;
+    
+    const reducedMotion = isReducedMotion();  // Shown on the accessibility page
+    if (!menuCache.fresh || menuCache.game !== game || menuCache.gameOver !== game.gameOver ||
+        menuCache.paused !== gamePaused || menuCache.showSettings !== showSettings ||
+        menuCache.settingsPage !== settingsPage || menuCache.leaderboardView !== leaderboardView ||
+        menuCache.editor !== editor || menuCache.reducedMotion !== reducedMotion) {
+        menuCache.menu = buildActiveMenu();
+        menuCache.fresh = true;
+        menuCache.game = game;
+        menuCache.gameOver = game.gameOver;
+        menuCache.paused = gamePaused;
+        menuCache.showSettings = showSettings;
+        menuCache.settingsPage = settingsPage;
+        menuCache.leaderboardView = leaderboardView;
+        menuCache.editor = editor;
+        menuCache.reducedMotion = reducedMotion;
+    }
+    return menuCache.menu;
+}
+
+// Builds the widget list of the menu that should be on screen (see getActiveMenu)
+function buildActiveMenu() {
+    if (showSettings) {
+        if (settingsPage === 'fruits') return getFruitMenu();
+        if (settingsPage === 'gamepad') return getGamepadMenu();
+        if (settingsPage === 'accessibility') return getAccessibilityMenu();
+        if (settingsPage === 'sound') return getSoundMenu();
+        return getSettingsMenu();
+    }
+    if (leaderboardView) return getLeaderboardMenu();
+    return game.gameOver ? getGameOverMenu() : getPauseMenu();
+}
+
+// ====== VERSUS SETTING ======
+// Each player's snakes are drawn in their own range of colors (see PALETTES in snake-accessibility.js)
+const PLAYER_NAMES = ['Player 1', 'Player 2'];
+
+// ====== CRASH DESCRIPTIONS ======
+// What each kind of crash ran into (see getCrashes in snake-core.js)
+const CRASH_HIT_TEXT = { wall: 'a wall', self: 'itself', snake: 'another snake' };
+
+// The game's crash report in words: "Crashed into itself",
+// "Player 2's snake crashed into Player 1's snake", "2 snakes crashed"...
+function describeCrash(state) {
+    const crashes = state.crashes;
+    if (crashes.length === 0) return '';
+    if (crashes.length > 1) return `${crashes.length} snakes crashed`;
+    
+    const crash = crashes[0];
+    let hit = CRASH_HIT_TEXT[crash.hit];
+    if (state.rules.players === 1) return `Crashed into ${hit}`;
+    
+    // Versus: whose snake it was, and whose it hit
+    const player = state.snakes[crash.snake].player;
+    if (crash.hit === 'snake') {
+        const otherPlayer = state.snakes[crash.otherSnake].player;
+        hit = otherPlayer === player ? 'one of their own snakes' : `${PLAYER_NAMES[otherPlayer]}'s snake`;
+    }
+    return `${PLAYER_NAMES[player]}'s snake crashed into ${hit}`;
 }
 
-// Save high score to localStorage
-function saveHighScore() {
-    localStorage.setItem('snake_highScore', highScore.toString());
-    console.log('High score saved:', highScore);
+// ====== CONTROL SETTING ======
+// ATTRACT_RESTART_DELAY: How long the game over screen stays up before a bot starts a new game (ms)
+const ATTRACT_RESTART_DELAY = 3000;
+let attractTime = 0;  // Time the game over screen has been up while a bot is playing
+
+// The id of the controller steering a player
+// Player two (versus) is always on the keyboard
+function getPlayerControlId(player) {
+    if (player > 0) return 'keyboard';
+    if (autoplayLink) return 'autopilot';
+    return getController(settings.control) ? settings.control : 'keyboard';
+}
+
+// True when a bot is playing on its own (attract mode)
+function isAttractMode() {
+    return game.rules.players === 1 && getPlayerControlId(0) !== 'keyboard';
 }
 
 // ====== FULLSCREEN FUNCTIONALITY ======
@@ -86,12 +484,12 @@ function toggleFullscreen() {
     if (!document.fullscreenElement) {
         // Enter fullscreen
         document.documentElement.requestFullscreen().catch(err => {
-            console.log('Error attempting to enable fullscreen:', err);
+            renderLog.error('Error attempting to enable fullscreen:', err);
         });
     } else {
         // Exit fullscreen
         document.exitFullscreen().catch(err => {
-            console.log('Error attempting to exit fullscreen:', err);
+            renderLog.error('Error attempting to exit fullscreen:', err);
         });
     }
 }
@@ -100,107 +498,104 @@ function toggleFullscreen() {
 function handleFullscreenChange() {
     // Resize canvas when entering/exiting fullscreen
     resizeCanvas();
-    console.log('Fullscreen changed, canvas resized');
+    renderLog.debug('Fullscreen changed, canvas resized');
 }
 
 // Animation timing variables
 // lastTime: Stores the timestamp of the previous frame
-// deltaTime: Accumulates time passed between frames
+// deltaTime: Accumulates real time that hasn't been turned into simulation ticks yet
 let lastTime = 0;
 let deltaTime = 0;
 
-// ====== WINDOW RESIZE HANDLING ======
-// This function recalculates the game grid when the window size changes
-function resizeCanvas() {
-    // Calculate how many cells can fit in the window
-    // Math.floor ensures we have whole numbers of cells
-    GRID_WIDTH = Math.floor(window.innerWidth / CELL_SIZE);
-    GRID_HEIGHT = Math.floor(window.innerHeight / CELL_SIZE);
-    
-    // Set canvas size to match our grid dimensions
-    // This ensures pixels align perfectly with our grid
-    canvas.width = GRID_WIDTH * CELL_SIZE;
-    canvas.height = GRID_HEIGHT * CELL_SIZE;
-}
-
-// ====== FOOD GENERATION ======
-// Creates new food at a random position in the grid
-function generateFood() {
-    return {
-        // Random x position between 0 and grid width
-        x: Math.floor(Math.random() * GRID_WIDTH),
-        // Random y position between 0 and grid height
-        y: Math.floor(Math.random() * GRID_HEIGHT)
-    };
-}
+// MAX_FRAME_TIME: The most real time one frame may hand to the simulation (ms)
+// After a long stall the game catches up by at most this much
+// (MAX_FRAME_TIME / TICK_MS ticks) and drops the rest instead of jumping ahead
+const MAX_FRAME_TIME = 250;
 
-// ====== SNAKE INITIALIZATION ======
-// Creates a new snake at the specified position
-function createSnake(startX, startY, direction = { x: 1, y: 0 }) {
+// ====== WINDOW RESIZE HANDLING ======
+// Calculate how many cells can fit in the window (the grid for a new game)
+// Math.floor ensures we have whole numbers of cells
+function getWindowGrid() {
     return {
-        // body: Array of segments, each with x,y coordinates
-        // First segment (index 0) is the head
-        body: [
-            { x: startX, y: startY },           // Head
-            { x: startX - direction.x, y: startY - direction.y },     // Body
-            { x: startX - 2 * direction.x, y: startY - 2 * direction.y }  // Tail
-        ],
-        // Direction: moving in specified direction
-        direction: direction,
-        // growing: true when snake eats food, false otherwise
-        growing: false,
-        // Individual speed for this snake
-        speed: SNAKE_SPEED,
-        // Time accumulator for individual timing
-        deltaTime: 0
+        width: Math.floor(window.innerWidth / CELL_SIZE),
+        height: Math.floor(window.innerHeight / CELL_SIZE)
     };
 }
 
-// Creates the initial snake in the center of the screen
-function initializeSnake() {
-    // Find the center of the grid
-    const centerX = Math.floor(GRID_WIDTH / 2);
-    const centerY = Math.floor(GRID_HEIGHT / 2);
+// Scales the current game's grid to fit the window
+// The grid itself never changes mid-game, so snakes and food keep their places
+// In the level editor it's the edited level's grid, with the toolbar below it
+function resizeCanvas() {
+    const editing = editor && !editor.testing;
+    const grid = editing ? editor : game;
+    const barHeight = editing ? EDITOR_BAR_HEIGHT : 0;
+    
+    // Biggest whole number of pixels per cell that fits both ways
+    // Whole pixels keep the cells crisp; the body style centers the canvas
+    cellSize = Math.max(1, Math.min(
+        Math.floor(window.innerWidth / grid.gridWidth),
+        Math.floor((window.innerHeight - barHeight) / grid.gridHeight)
+    ));
     
-    // Create the first snake
-    snakes = [createSnake(centerX, centerY, { x: 1, y: 0 })];
+    // Set canvas size to match our grid dimensions
+    // This ensures pixels align perfectly with our grid
+    canvas.width = grid.gridWidth * cellSize;
+    canvas.height = grid.gridHeight * cellSize + barHeight;
 }
 
-// ====== BOUNDARY MANAGEMENT ======
-// Ensures snakes and food stay within the game boundaries
-function constrainSnakeAndFood() {
-    // For each snake, wrap segments around the grid boundaries
-    snakes.forEach(snake => {
-        if (snake && snake.body) {
-            snake.body = snake.body.map(segment => ({
-                x: segment.x % GRID_WIDTH,   // Wrap around horizontally
-                y: segment.y % GRID_HEIGHT   // Wrap around vertically
-            }));
-        }
-    });
-    
-    // If food is outside the grid (can happen after resize),
-    // generate new food in a valid position
-    if (food && (food.x >= GRID_WIDTH || food.y >= GRID_HEIGHT)) {
-        food = generateFood();
+// ====== GAME INITIALIZATION ======
+// Creates a fresh game state using the saved settings
+// Levels bring their own grid size; otherwise the grid fits the window
+// While test-playing from the editor, the edited level is used instead
+// A window too small for both versus players gets a one-player game instead
+function createGame() {
+    const grid = getWindowGrid();
+    rememberGameSettings();  // So the settings menu can tell what needs a restart
+    const options = {
+        gridWidth: grid.width,
+        gridHeight: grid.height,
+        mode: settings.gameMode,
+        players: settings.players,
+        level: editor && editor.testing ? editor.level : getLevel(settings.level),
+        fruits: settings.fruits,
+        speedIncrease: getSetting('speedIncrease'),
+        individualSpeeds: getSetting('individualSpeeds'),
+        spawnClearance: settings.spawnClearance,
+        spawnProtection: settings.spawnProtection ? SPAWN_PROTECTION_TIME : 0,
+        seed: getNextSeed()
+    };
+    try {
+        return createGameState(options);
+    } catch (error) {
+        simLog.warn(error.message);
+        showToast('Window too small for versus - playing one player');
+        return createGameState(Object.assign(options, { players: 1 }));
     }
 }
 
-// ====== GAME INITIALIZATION ======
 // Sets up everything needed to start the game
 function initializeGame() {
-    // Load saved settings first
+    // A ?log link turns logging on before anything else happens (see snake-log.js)
+    const logParam = new URLSearchParams(window.location.search).get('log');
+    if (logParam !== null) applyLogFlag(logParam);
+    
+    // Load the levels and saved settings first
+    loadLevels();
     loadSettings();
     
+    // Create snake and food, and start recording the game
+    game = createGame();
+    recording = createReplay(game);
+    rewindPoints = [];
+    
     // Set up the game area
     resizeCanvas();
     
-    // Create snake and food
-    initializeSnake();
-    food = generateFood();
+    // A ?benchmark link (or ?benchmark=1000) opens the benchmark scene instead
+    const benchmarkParam = new URLSearchParams(window.location.search).get('benchmark');
+    if (benchmarkParam !== null) startBenchmark(parseInt(benchmarkParam, 10) || BENCHMARK_SNAKES);
     
-    // Reset game state
-    gameOver = false;
+    // Reset timing
     lastTime = 0;
     deltaTime = 0;
     
@@ -208,148 +603,36 @@ function initializeGame() {
     requestAnimationFrame(animate);
     
     // Log initial game state (helpful for debugging)
-    console.log('Game initialized:', {
-        gridSize: { width: GRID_WIDTH, height: GRID_HEIGHT },
+    simLog.info('Game initialized:', {
+        gridSize: { width: game.gridWidth, height: game.gridHeight },
         canvasSize: { width: canvas.width, height: canvas.height },
-        cellSize: CELL_SIZE,
-        snakes: snakes,
-        food: food,
-        settings: { showLiveCounter, speedIncrease, individualSpeeds }
+        cellSize: cellSize,
+        snakes: game.snakes,
+        food: game.food,
+        settings: settings
     });
 }
 
 // ====== WINDOW RESIZE EVENT HANDLER ======
 // Handles what happens when the window is resized
+// The running game carries on untouched - only the drawing scale changes.
+// The next game started picks a grid that fits the new window size.
 window.addEventListener('resize', () => {
-    // Remember how many snakes we had and their directions
-    const snakeCount = snakes.length;
-    const directions = snakes.map(snake => snake.direction);
-    
-    // Rebuild the game grid
     resizeCanvas();
-    initializeSnake();
-    
-    // Restore the original snake count and directions
-    for (let i = 1; i < snakeCount; i++) {
-        const randomX = Math.floor(Math.random() * GRID_WIDTH);
-        const randomY = Math.floor(Math.random() * GRID_HEIGHT);
-        snakes.push(createSnake(randomX, randomY, directions[i] || { x: 1, y: 0 }));
-    }
-    
-    // Make sure everything is still in bounds
-    constrainSnakeAndFood();
     
     // Log resize info (helpful for debugging)
-    console.log('Resized:', {
-        gridSize: { width: GRID_WIDTH, height: GRID_HEIGHT },
+    renderLog.debug('Resized:', {
+        gridSize: { width: game.gridWidth, height: game.gridHeight },
+        cellSize: cellSize,
         canvasSize: { width: canvas.width, height: canvas.height },
-        snakeCount: snakes.length
+        snakeCount: game.snakes.length
     });
 });
 
-// ====== COLLISION DETECTION ======
-// Checks if a position collides with any snake's body
-function checkCollision(x, y, excludeSnakeIndex = -1, excludeHeadIndex = -1) {
-    for (let snakeIndex = 0; snakeIndex < snakes.length; snakeIndex++) {
-        const snake = snakes[snakeIndex];
-        if (!snake || !snake.body) continue;
-        
-        for (let segmentIndex = 0; segmentIndex < snake.body.length; segmentIndex++) {
-            // Skip the head of the snake that just moved (to avoid self-collision on first move)
-            if (snakeIndex === excludeSnakeIndex && segmentIndex === excludeHeadIndex) {
-                continue;
-            }
-            
-            const segment = snake.body[segmentIndex];
-            if (segment.x === x && segment.y === y) {
-                return true;
-            }
-        }
-    }
-    return false;
-}
-
-// Checks if any snake has collided with itself or another snake
-function checkSnakeCollisions() {
-    for (let snakeIndex = 0; snakeIndex < snakes.length; snakeIndex++) {
-        const snake = snakes[snakeIndex];
-        if (!snake || !snake.body || snake.body.length === 0) continue;
-        
-        const head = snake.body[0];
-        
-        // Check collision with any snake body (including self-collision)
-        if (checkCollision(head.x, head.y, snakeIndex, 0)) {
-            return true;
-        }
-    }
-    return false;
-}
-
-// ====== SNAKE MOVEMENT ======
-// Updates individual snake positions and handles food collision
-function moveSnake(snake, deltaTime) {
-    if (gameOver || gamePaused) return; // Don't move snakes if game is over or paused
-    
-    // Update snake's individual time accumulator
-    snake.deltaTime += deltaTime;
-    
-    // Only move if enough time has passed for this snake
-    if (snake.deltaTime >= snake.speed) {
-        snake.deltaTime = 0; // Reset time accumulator
-        
-        // Get current head position
-        const head = snake.body[0];
-        
-        // Calculate new head position
-        // The modulo (%) makes the snake wrap around the edges
-        const newHead = {
-            x: (head.x + snake.direction.x + GRID_WIDTH) % GRID_WIDTH,
-            y: (head.y + snake.direction.y + GRID_HEIGHT) % GRID_HEIGHT
-        };
-
-        // Add new head to start of body array
-        snake.body.unshift(newHead);
-
-        // Check if snake hit food
-        if (newHead.x === food.x && newHead.y === food.y) {
-            food = generateFood();    // Create new food
-            snake.growing = true;     // Snake will grow next frame
-            
-            // Spawn a new snake at a random position
-            const newSnakeX = Math.floor(Math.random() * GRID_WIDTH);
-            const newSnakeY = Math.floor(Math.random() * GRID_HEIGHT);
-            const newSnake = createSnake(newSnakeX, newSnakeY, snake.direction);
-            snakes.push(newSnake);
-            
-            // Increase speed based on settings
-            if (speedIncrease) {
-                if (individualSpeeds) {
-                    // Each snake speeds up independently
-                    snake.speed = Math.max(50, snake.speed - 5); // Decrease delay (faster), minimum 50ms
-                    console.log(`Individual snake speed increased! New speed: ${snake.speed}ms`);
-                } else {
-                    // All snakes speed up together (global speed increase)
-                    snakes.forEach(s => {
-                        s.speed = Math.max(50, s.speed - 5);
-                    });
-                    console.log(`Global snake speed increased! All snakes now at: ${snake.speed}ms`);
-                }
-            }
-        }
-
-        // If snake isn't growing, remove tail
-        // This creates the illusion of movement
-        if (!snake.growing) {
-            snake.body.pop();
-        } else {
-            snake.growing = false;    // Reset growing flag
-        }
-    }
-}
-
 // ====== SIMPLE BUTTON DRAWING ======
-// Draws a basic clickable button
-function drawButton(x, y, text, key) {
+// Draws a basic clickable button (lighter while the mouse is over it)
+// label: the text on it, with its key - like "Restart (R)"
+function drawButton(x, y, label, hovered = false) {
     // Save current context state
     ctx.save();
     
@@ -360,7 +643,7 @@ function drawButton(x, y, text, key) {
     const buttonY = y - buttonHeight / 2;
     
     // Draw button background
-    ctx.fillStyle = '#333';
+    ctx.fillStyle = hovered ? '#555' : '#333';
     ctx.fillRect(buttonX, buttonY, buttonWidth, buttonHeight);
     
     // Draw button border
@@ -373,313 +656,476 @@ function drawButton(x, y, text, key) {
     ctx.font = '16px Arial';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
-    ctx.fillText(`${text} (${key})`, x, y);
+    ctx.fillText(label, x, y);
     
     // Restore context state
     ctx.restore();
 }
 
 // ====== DRAWING ======
+// The live counter's text, kept until the snake count changes: { game, snakeCount, text }
+const liveCounter = { game: null, snakeCount: -1, text: '' };
+
+// Each fruit effect's line, kept until the tenths of a second it shows change: { tenths, text }
+const effectLines = {};
+Object.keys(EFFECT_LABELS).forEach(effect => {
+    effectLines[effect] = { tenths: -1, text: '' };
+});
+
 // Renders the game state to the canvas
 function draw() {
-    // Clear the canvas with background color
-    ctx.fillStyle = '#152';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    
-    // Draw subtle checkerboard pattern around the edges only
-    ctx.fillStyle = '#141';  // Darker version of #152
-    const borderWidth = 2; // How many cells from the edge to draw pattern
-    
-    for (let x = 0; x < GRID_WIDTH; x++) {
-        for (let y = 0; y < GRID_HEIGHT; y++) {
-            // Only draw pattern in border area
-            const isBorder = x < borderWidth || x >= GRID_WIDTH - borderWidth || 
-                           y < borderWidth || y >= GRID_HEIGHT - borderWidth;
-            
-            if (isBorder && (x + y) % 2 === 0) {
-                ctx.fillRect(
-                    x * CELL_SIZE,
-                    y * CELL_SIZE,
-                    CELL_SIZE,
-                    CELL_SIZE
-                );
-            }
+    const palette = getPalette();
+    
+    // The board, snakes and fruit (see snake-render.js)
+    drawLayers();
+    
+    // Draw live snake counter at the top of the screen (if enabled)
+    if (settings.showLiveCounter) {
+        ctx.fillStyle = '#fff';  // White text
+        ctx.font = 'bold 36px Arial';
+        ctx.textAlign = 'center';
+        // Position 3 cells from top (1 row above the border pattern which starts at 2 cells)
+        const counterY = 3 * cellSize + 25; // 3 cells down + font offset
+        // In versus, each player's count (player one on the left)
+        if (liveCounter.game !== game || liveCounter.snakeCount !== game.snakes.length) {
+            liveCounter.game = game;
+            liveCounter.snakeCount = game.snakes.length;
+            liveCounter.text = game.rules.players === 2
+                ? getPlayerSnakeCounts(game).join(' - ')
+                : game.snakes.length.toString();
         }
+        ctx.fillText(liveCounter.text, canvas.width / 2, counterY);
     }
- 
-    // Find the maximum length among all snakes
-    const maxLength = Math.max(...snakes.map(snake => snake ? snake.body.length : 0));
-    
-    // Draw all snakes
-    snakes.forEach((snake, snakeIndex) => {
-        if (snake && snake.body) {
-            // Use light green for longest snake(s), other colors for shorter snakes
-            let color;
-            if (snake.body.length === maxLength) {
-                color = '#0f0';  // Light green for longest snake(s)
-            } else {
-                // Use different colors for shorter snakes (avoiding greens, reds, pinks)
-                const colors = ['#0ff', '#ff0', '#00f', '#f80', '#08f', '#880', '#808', '#088'];
-                color = colors[snakeIndex % colors.length];
-            }
-            ctx.fillStyle = color;
-            
-            snake.body.forEach((segment, index) => {
-                const x = segment.x * CELL_SIZE;
-                const y = segment.y * CELL_SIZE;
-                const size = CELL_SIZE - 1;
-                
-                if (index === 0) {
-                    // HEAD: Draw main body square
-                    ctx.fillRect(x, y, size, size);
-                    
-                    // Add eyes based on direction
-                    ctx.fillStyle = '#000'; // Black eyes
-                    const eyeSize = 3;
-                    const eyeOffset = 4;
-                    
-                    if (snake.direction.x === 1) { // Moving right
-                        ctx.fillRect(x + size - eyeOffset, y + eyeOffset, eyeSize, eyeSize);
-                        ctx.fillRect(x + size - eyeOffset, y + size - eyeOffset - eyeSize, eyeSize, eyeSize);
-                    } else if (snake.direction.x === -1) { // Moving left
-                        ctx.fillRect(x + eyeOffset - eyeSize, y + eyeOffset, eyeSize, eyeSize);
-                        ctx.fillRect(x + eyeOffset - eyeSize, y + size - eyeOffset - eyeSize, eyeSize, eyeSize);
-                    } else if (snake.direction.y === -1) { // Moving up
-                        ctx.fillRect(x + eyeOffset, y + eyeOffset - eyeSize, eyeSize, eyeSize);
-                        ctx.fillRect(x + size - eyeOffset - eyeSize, y + eyeOffset - eyeSize, eyeSize, eyeSize);
-                    } else if (snake.direction.y === 1) { // Moving down
-                        ctx.fillRect(x + eyeOffset, y + size - eyeOffset, eyeSize, eyeSize);
-                        ctx.fillRect(x + size - eyeOffset - eyeSize, y + size - eyeOffset, eyeSize, eyeSize);
-                    }
-                    
-                    // Reset color for next segment
-                    ctx.fillStyle = color;
-                    
-                } else {
-                    // TAIL AND BODY: Draw regular square
-                    ctx.fillRect(x, y, size, size);
-                }
-            });
-            
-            // Log snake info for debugging
-            console.log(`Snake ${snakeIndex} position:`, snake.body[0], 'Direction:', snake.direction, 'Length:', snake.body.length);
+    
+    // Show the fruit effects that are on, with the time they have left
+    ctx.save();
+    ctx.font = 'bold 18px Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    let effectY = 3 * cellSize;
+    for (const effect in game.effects) {
+        const ticksLeft = game.effects[effect];
+        if (ticksLeft <= 0) continue;
+        
+        const line = effectLines[effect];
+        const tenths = Math.round(ticksLeft * TICK_MS / 100);
+        if (line.tenths !== tenths) {
+            line.tenths = tenths;
+            line.text = `${EFFECT_LABELS[effect]} ${(tenths / 10).toFixed(1)}s`;
         }
-    });
+        ctx.fillStyle = palette.fruits[EFFECT_FRUITS[effect]];
+        ctx.fillText(line.text, 3 * cellSize, effectY);
+        effectY += 24;
+    }
+    ctx.restore();
 
-    // Draw food if it exists
-    if (food) {
-        const x = food.x * CELL_SIZE;
-        const y = food.y * CELL_SIZE;
-        const size = CELL_SIZE - 1;
+    // Draw the game over or pause screen, or the menu opened from it
+    const menu = getActiveMenu();
+    if (menu) {
+        // Semi-transparent overlay
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
         
-        // Draw the main apple body
-        ctx.fillStyle = '#f00';  // Red apple
-        ctx.fillRect(x, y, size, size);
+        // Show which snake crashed and where, above the overlay (see snake-render.js)
+        if (game.gameOver) drawCrashHighlight();
         
-        // Draw a brown stem on top
-        ctx.fillStyle = '#8B4513';  // Brown stem color
-        const stemWidth = 4;
-        const stemHeight = 6;
-        const stemX = x + size/2 - stemWidth/2;
-        const stemY = y - stemHeight;
-        ctx.fillRect(stemX, stemY, stemWidth, stemHeight);
+        drawMenu(menu);
+    }
+    
+    drawToast();
+}
+
+// ====== DIRECTION INPUT ======
+// Directions pressed by each player, oldest first
+// The keyboard controller hands one per player to the simulation per tick,
+// where every snake of that player checks it against its own heading and
+// queues it (see queueTurn in snake-core.js). Quick presses are kept in
+// order instead of being dropped.
+let pendingDirections = [[], []];
+
+// Keys that steer each player's snakes in versus mode
+const PLAYER_KEYS = [
+    { w: { x: 0, y: -1 }, s: { x: 0, y: 1 }, a: { x: -1, y: 0 }, d: { x: 1, y: 0 } },
+    { ArrowUp: { x: 0, y: -1 }, ArrowDown: { x: 0, y: 1 }, ArrowLeft: { x: -1, y: 0 }, ArrowRight: { x: 1, y: 0 } }
+];
+
+// Queues a direction change from the keyboard or a swipe for one player
+// Returns true if there was room for it
+function requestDirection(newDirection, player = 0) {
+    const queue = pendingDirections[player];
+    if (queue.length >= MAX_QUEUED_TURNS) return false;
+    
+    queue.push(newDirection);
+    return true;
+}
+
+// Keyboard and touch controls are a controller like any bot:
+// each tick it hands over the player's next pressed direction
+registerController('keyboard', {
+    name: 'Keyboard',
+    getDirection(snapshot, player) {
+        return pendingDirections[player].shift() || null;
+    }
+});
+
+// Asks each player's controller which way to go, as input for step()
+// Returns null if no controller picked a direction
+// The snapshot is only made when a bot is playing - the keyboard doesn't look at it,
+// and copying every snake each tick adds up with lots of snakes
+function getControllerInput() {
+    let snapshot = null;
+    let turns = null;
+    
+    for (let player = 0; player < game.rules.players; player++) {
+        const controlId = getPlayerControlId(player);
+        if (!snapshot && controlId !== 'keyboard') snapshot = createSnapshot(game);
         
-        // Draw a small green leaf sticking out to the side of the stem
-        ctx.fillStyle = '#228B22';  // Forest green leaf color
-        const leafSize = 3;
-        const leafX = stemX + stemWidth;  // Position leaf to the right of the stem
-        const leafY = stemY + 1;  // Slightly below the top of the stem
-        ctx.fillRect(leafX, leafY, leafSize, leafSize);
+        let direction = null;
+        try {
+            direction = getController(controlId).getDirection(snapshot, player);
+        } catch (error) {
+            inputLog.error('Controller error:', error);
+        }
         
-        // Log food position for debugging
-        console.log('Food position:', food);
+        // Only one-cell steps up, down, left or right count as a direction
+        if (direction && Math.abs(direction.x) + Math.abs(direction.y) === 1) {
+            if (!turns) turns = [];
+            turns.push({ player: player, direction: { x: direction.x, y: direction.y } });
+        }
     }
+    return turns ? { turns: turns } : null;
+}
 
-    // Draw live snake counter at the top of the screen (if enabled)
-    if (showLiveCounter) {
-        ctx.fillStyle = '#fff';  // White text
-        ctx.font = 'bold 36px Arial';
-        ctx.textAlign = 'center';
-        // Position 3 cells from top (1 row above the border pattern which starts at 2 cells)
-        const counterY = 3 * CELL_SIZE + 25; // 3 cells down + font offset
-        ctx.fillText(snakes.length.toString(), canvas.width / 2, counterY);
-    }
+// ====== REPLAY RECORDING AND PLAYBACK ======
+// Every live game is recorded (see snake-replay.js) so it can be exported
+// from the game over screen. A loaded replay file is played back instead of
+// the live game, with pause, fast-forward and seeking.
+let recording = null;  // Replay of the live game being recorded
+let playback = null;  // Replay being watched, or null when playing live
+const PLAYBACK_SPEEDS = [1, 2, 4, 8];  // Fast-forward steps (F key)
+const PLAYBACK_SEEK_STEP = 5000;  // How far the arrow keys seek (ms)
+const PLAYBACK_BAR_HEIGHT = 30;  // Height of the progress bar at the bottom (pixels)
 
-    // Draw game over screen if game is over
-    if (gameOver) {
-        // Semi-transparent overlay
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+// Saves a replay as a JSON file download (the watched one during playback)
+function exportReplay() {
+    const replay = playback ? playback.replay : recording;
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `snake-replay-${replay.seed}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    simLog.info('Replay exported:', { seed: replay.seed, ticks: replay.tickCount });
+}
+
+// Asks the player for a replay file and starts playing it
+function openReplayFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) return;
+        
+        file.text().then(text => {
+            startPlayback(validateReplay(JSON.parse(text)));
+        }).catch(err => {
+            simLog.error('Error loading replay:', err);
+            window.alert(`Could not load replay: ${err.message}`);
+        });
+    });
+    input.click();
+}
+
+// Switches from the live game to watching a replay from the start
+function startPlayback(replay) {
+    playback = {
+        replay: replay,
+        eventIndex: 0,  // Next replay event to apply
+        speedIndex: 0,  // Index into PLAYBACK_SPEEDS
+        paused: false,
+        timeAhead: 0  // Real time waiting to be turned into ticks
+    };
+    game = createReplayGame(replay);
+    resizeCanvas();  // Fit the replay's grid to the window
+    gamePaused = false;
+    showSettings = false;
+    simLog.info('Playback started:', { seed: replay.seed, ticks: replay.tickCount });
+}
+
+// Jumps the replay to a time (ms) by re-running it from the beginning
+function seekPlayback(time) {
+    const replay = playback.replay;
+    const targetTick = Math.max(0, Math.min(Math.floor(time / replay.tickMs), replay.tickCount));
+    
+    game = createReplayGame(replay);
+    playback.eventIndex = 0;
+    playback.timeAhead = 0;
+    while (game.tick < targetTick && !game.gameOver) {
+        playback.eventIndex = stepReplay(game, replay, playback.eventIndex);
+    }
+}
 
-        if (!showSettings) {
-            // Game over text
-            ctx.fillStyle = '#fff';
-            ctx.font = 'bold 48px Arial';
-            ctx.textAlign = 'center';
-            ctx.fillText('GAME OVER', canvas.width / 2, canvas.height / 2 - 80);
+// Plays the recorded ticks that fit into the time since the last frame
+function updatePlayback(frameTime) {
+    if (playback.paused) return;
+    
+    const replay = playback.replay;
+    playback.timeAhead += frameTime * PLAYBACK_SPEEDS[playback.speedIndex];
+    while (game.tick < replay.tickCount && !game.gameOver && playback.timeAhead >= replay.tickMs) {
+        playback.timeAhead -= replay.tickMs;
+        playback.eventIndex = stepReplay(game, replay, playback.eventIndex);
+    }
+}
 
-            // Current score text
-            ctx.font = '24px Arial';
-            ctx.fillText(`Snakes: ${snakes.length}`, canvas.width / 2, canvas.height / 2 - 40);
+// Handles keys that control playback
+// Returns true if the key was used
+function handlePlaybackKey(event) {
+    const key = event.key.toLowerCase();
+    
+    if (key === ' ' || key === 'p') {
+        playback.paused = !playback.paused;
+        return true;
+    }
+    if (key === 'f') {
+        playback.speedIndex = (playback.speedIndex + 1) % PLAYBACK_SPEEDS.length;
+        return true;
+    }
+    if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+        const direction = event.key === 'ArrowLeft' ? -1 : 1;
+        seekPlayback(game.tick * playback.replay.tickMs + direction * PLAYBACK_SEEK_STEP);
+        return true;
+    }
+    if (event.key === 'Escape') {
+        restartGame();  // Leave playback and go back to a live game
+        return true;
+    }
+    return false;
+}
 
-            // High score text
-            ctx.font = '20px Arial';
-            ctx.fillText(`High Score: ${highScore}`, canvas.width / 2, canvas.height / 2 - 10);
+// Seeks when the progress bar is clicked or tapped
+// Returns true if the point was on the bar
+function handlePlaybackBarClick(canvasX, canvasY) {
+    if (canvasY < canvas.height - PLAYBACK_BAR_HEIGHT) return false;
+    
+    seekPlayback(getReplayDuration(playback.replay) * canvasX / canvas.width);
+    return true;
+}
 
-            // Settings button
-            drawButton(canvas.width / 2, canvas.height / 2 + 20, 'Settings', 'S');
+// Formats milliseconds as m:ss
+function formatTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const seconds = totalSeconds % 60;
+    return `${Math.floor(totalSeconds / 60)}:${seconds < 10 ? '0' : ''}${seconds}`;
+}
 
-            // Restart button
-            drawButton(canvas.width / 2, canvas.height / 2 + 70, 'Restart', 'R');
-        } else {
-            // Settings menu
-            ctx.fillStyle = '#fff';
-            ctx.font = 'bold 36px Arial';
-            ctx.textAlign = 'center';
-            ctx.fillText('SETTINGS', canvas.width / 2, canvas.height / 2 - 60);
-
-            // Live counter setting
-            ctx.font = '20px Arial';
-            ctx.fillText('Live Score Counter:', canvas.width / 2, canvas.height / 2 - 40);
-            ctx.fillText(showLiveCounter ? 'ON' : 'OFF', canvas.width / 2, canvas.height / 2 - 15);
-
-            // Speed increase setting
-            ctx.fillText('Speed Increase:', canvas.width / 2, canvas.height / 2 + 10);
-            ctx.fillText(speedIncrease ? 'ON' : 'OFF', canvas.width / 2, canvas.height / 2 + 35);
-
-            // Individual speeds setting (only show if speed increase is on)
-            if (speedIncrease) {
-                ctx.fillText('Individual Speeds:', canvas.width / 2, canvas.height / 2 + 60);
-                ctx.fillText(individualSpeeds ? 'ON' : 'OFF', canvas.width / 2, canvas.height / 2 + 85);
-            }
+// The playback bar's status text, kept until the second or play state it shows changes
+const playbackStatus = { replay: null, paused: false, speedIndex: -1, second: -1, text: '' };
 
-            // Settings buttons
-            drawButton(canvas.width / 2, canvas.height / 2 + 110, 'Toggle Counter', 'T');
-            drawButton(canvas.width / 2, canvas.height / 2 + 160, 'Toggle Speed', 'Y');
-            if (speedIncrease) {
-                drawButton(canvas.width / 2, canvas.height / 2 + 210, 'Toggle Individual', 'I');
-                drawButton(canvas.width / 2, canvas.height / 2 + 260, 'Restart', 'R');
-                drawButton(canvas.width / 2, canvas.height / 2 + 310, 'Close', 'ESC');
-            } else {
-                drawButton(canvas.width / 2, canvas.height / 2 + 210, 'Restart', 'R');
-                drawButton(canvas.width / 2, canvas.height / 2 + 260, 'Close', 'ESC');
-            }
-            
-            // Warning message if speed settings were changed while paused
-            if (gamePaused && speedSettingChanged) {
-                ctx.fillStyle = '#ff6b6b';  // Red color for warning
-                ctx.font = '14px Arial';
-                // Adjust warning position based on whether individual speeds is shown
-                const warningY = speedIncrease ? canvas.height / 2 + 220 : canvas.height / 2 + 200;
-                ctx.fillText('⚠️ Restart required due to speed setting change', canvas.width / 2, warningY);
-                ctx.fillStyle = '#fff';  // Reset to white
-            }
-        }
+// Draws the playback progress bar and controls help at the bottom of the screen
+function drawPlaybackBar() {
+    const barY = canvas.height - PLAYBACK_BAR_HEIGHT;
+    const elapsed = game.tick * playback.replay.tickMs;
+    const duration = getReplayDuration(playback.replay);
+    
+    ctx.save();
+    
+    // Bar background and how far through the replay we are
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, barY, canvas.width, PLAYBACK_BAR_HEIGHT);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.fillRect(0, barY, duration > 0 ? canvas.width * elapsed / duration : 0, PLAYBACK_BAR_HEIGHT);
+    
+    // Status text: play state, speed, time and keys
+    const second = Math.floor(elapsed / 1000);
+    if (playbackStatus.replay !== playback.replay || playbackStatus.paused !== playback.paused ||
+        playbackStatus.speedIndex !== playback.speedIndex || playbackStatus.second !== second) {
+        const status = playback.paused ? 'PAUSED' : `${PLAYBACK_SPEEDS[playback.speedIndex]}x`;
+        playbackStatus.replay = playback.replay;
+        playbackStatus.paused = playback.paused;
+        playbackStatus.speedIndex = playback.speedIndex;
+        playbackStatus.second = second;
+        playbackStatus.text = `REPLAY ${status}  ${formatTime(elapsed)} / ${formatTime(duration)}`;
     }
+    ctx.fillStyle = '#fff';
+    ctx.font = '14px Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(playbackStatus.text, 10, barY + PLAYBACK_BAR_HEIGHT / 2);
+    ctx.textAlign = 'right';
+    ctx.fillText('Space: Pause  F: Speed  ←/→: Seek  Esc: Exit', canvas.width - 10, barY + PLAYBACK_BAR_HEIGHT / 2);
+    
+    ctx.restore();
+}
 
-    // Draw pause screen if game is paused
-    if (gamePaused) {
-        // Semi-transparent overlay
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+// ====== INSTANT REPLAY ======
+// When a live game ends, its last few seconds play again in slow motion before
+// the game over screen comes up, so it's clear which snake crashed and into what.
+// They're re-run from the recording (like a replay file), starting from a copy
+// of the game saved a little before the end, then the finished game comes back. Any key, click or tap skips it. It can be turned off in settings
+// (Instant Replay), and is left out with Less Motion on and while a bot plays.
+const INSTANT_REPLAY_TIME = 2000;  // How much of the end of the game is shown again (ms)
+const INSTANT_REPLAY_SPEED = 0.25;  // Slow motion: a quarter of the normal speed
+const INSTANT_REPLAY_LABEL = `INSTANT REPLAY ${INSTANT_REPLAY_SPEED}x`;
 
-        if (!showSettings) {
-            // Pause text
-            ctx.fillStyle = '#fff';
-            ctx.font = 'bold 48px Arial';
-            ctx.textAlign = 'center';
-            ctx.fillText('PAUSED', canvas.width / 2, canvas.height / 2 - 80);
-
-            // Current score text
-            ctx.font = '24px Arial';
-            ctx.fillText(`Snakes: ${snakes.length}`, canvas.width / 2, canvas.height / 2 - 40);
-
-            // High score text
-            ctx.font = '20px Arial';
-            ctx.fillText(`High Score: ${highScore}`, canvas.width / 2, canvas.height / 2 - 10);
-
-            // Settings button
-            drawButton(canvas.width / 2, canvas.height / 2 + 20, 'Settings', 'S');
-
-            // Resume button
-            drawButton(canvas.width / 2, canvas.height / 2 + 70, 'Unpause', 'P');
-            
-            // Restart button
-            drawButton(canvas.width / 2, canvas.height / 2 + 120, 'Restart', 'R');
-        } else {
-            // Settings menu (same as game over)
-            ctx.fillStyle = '#fff';
-            ctx.font = 'bold 36px Arial';
-            ctx.textAlign = 'center';
-            ctx.fillText('SETTINGS', canvas.width / 2, canvas.height / 2 - 60);
-
-            // Live counter setting
-            ctx.font = '20px Arial';
-            ctx.fillText('Live Score Counter:', canvas.width / 2, canvas.height / 2 - 40);
-            ctx.fillText(showLiveCounter ? 'ON' : 'OFF', canvas.width / 2, canvas.height / 2 - 15);
-
-            // Speed increase setting
-            ctx.fillText('Speed Increase:', canvas.width / 2, canvas.height / 2 + 10);
-            ctx.fillText(speedIncrease ? 'ON' : 'OFF', canvas.width / 2, canvas.height / 2 + 35);
-
-            // Individual speeds setting (only show if speed increase is on)
-            if (speedIncrease) {
-                ctx.fillText('Individual Speeds:', canvas.width / 2, canvas.height / 2 + 60);
-                ctx.fillText(individualSpeeds ? 'ON' : 'OFF', canvas.width / 2, canvas.height / 2 + 85);
-            }
+// The instant replay being shown, or null
+// { finalGame (the game that ended), eventIndex, timeAhead } - like playback
+let instantReplay = null;
 
-            // Settings buttons
-            drawButton(canvas.width / 2, canvas.height / 2 + 110, 'Toggle Counter', 'T');
-            drawButton(canvas.width / 2, canvas.height / 2 + 160, 'Toggle Speed', 'Y');
-            if (speedIncrease) {
-                drawButton(canvas.width / 2, canvas.height / 2 + 210, 'Toggle Individual', 'I');
-                drawButton(canvas.width / 2, canvas.height / 2 + 260, 'Restart', 'R');
-                drawButton(canvas.width / 2, canvas.height / 2 + 310, 'Close', 'ESC');
-            } else {
-                drawButton(canvas.width / 2, canvas.height / 2 + 210, 'Restart', 'R');
-                drawButton(canvas.width / 2, canvas.height / 2 + 260, 'Close', 'ESC');
-            }
-            
-            // Warning message if speed settings were changed while paused
-            if (gamePaused && speedSettingChanged) {
-                ctx.fillStyle = '#ff6b6b';  // Red color for warning
-                ctx.font = '14px Arial';
-                // Adjust warning position based on whether individual speeds is shown
-                const warningY = speedIncrease ? canvas.height / 2 + 220 : canvas.height / 2 + 200;
-                ctx.fillText('⚠️ Restart required due to speed setting change', canvas.width / 2, warningY);
-                ctx.fillStyle = '#fff';  // Reset to white
-            }
-        }
+// Copies of the live game to rewind to: one is saved every INSTANT_REPLAY_TIME,
+// along with how far through the recording's events it was. The last two are
+// kept, so one of them is always from before the part that's shown again
+// [{ game, eventIndex }], oldest first
+let rewindPoints = [];
+
+// Saves a copy of the live game if it's time for the next rewind point
+// Called before each tick is recorded
+function saveRewindPoint() {
+    if (game.tick % Math.round(INSTANT_REPLAY_TIME / TICK_MS) !== 0) return;
+    rewindPoints.push({ game: copyGameState(game), eventIndex: recording.events.length });
+    if (rewindPoints.length > 2) rewindPoints.shift();
+}
+
+// Rewinds to INSTANT_REPLAY_TIME before the end of the game that just ended:
+// takes the latest rewind point from before then and plays it forward to there
+// (from the start of the recording if there isn't one)
+function startInstantReplay() {
+    const startTick = Math.max(0, game.tick - Math.round(INSTANT_REPLAY_TIME / TICK_MS));
+    let rewindPoint = null;
+    rewindPoints.forEach(point => {
+        if (point.game.tick <= startTick) rewindPoint = point;
+    });
+    const state = rewindPoint ? rewindPoint.game : createReplayGame(recording);
+    let eventIndex = rewindPoint ? rewindPoint.eventIndex : 0;
+    while (state.tick < startTick && !state.gameOver) {
+        eventIndex = stepReplay(state, recording, eventIndex);
     }
+    
+    instantReplay = { finalGame: game, eventIndex: eventIndex, timeAhead: 0 };
+    game = state;
+}
+
+// Plays the ticks that fit into the time since the last frame, in slow motion,
+// and brings the game over screen up once the crash has been shown
+function updateInstantReplay(frameTime) {
+    instantReplay.timeAhead += frameTime * INSTANT_REPLAY_SPEED;
+    while (!game.gameOver && instantReplay.timeAhead >= recording.tickMs) {
+        instantReplay.timeAhead -= recording.tickMs;
+        instantReplay.eventIndex = stepReplay(game, recording, instantReplay.eventIndex);
+    }
+    if (game.gameOver) finishInstantReplay();
+}
+
+// Ends the instant replay (or skips the rest of it) and goes back to the finished game
+function finishInstantReplay() {
+    game = instantReplay.finalGame;
+    instantReplay = null;
+}
+
+// A banner along the bottom while the instant replay runs
+function drawInstantReplayBar() {
+    const barY = canvas.height - PLAYBACK_BAR_HEIGHT;
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, barY, canvas.width, PLAYBACK_BAR_HEIGHT);
+    ctx.fillStyle = '#fff';
+    ctx.font = '14px Arial';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillText(INSTANT_REPLAY_LABEL, 10, barY + PLAYBACK_BAR_HEIGHT / 2);
+    ctx.textAlign = 'right';
+    ctx.fillText('Any key: Skip', canvas.width - 10, barY + PLAYBACK_BAR_HEIGHT / 2);
+    ctx.restore();
 }
 
 // ====== GAME LOOP ======
-// Main game update function
-function gameLoop() {
-    // Move each snake individually
-    snakes.forEach(snake => {
-        moveSnake(snake, deltaTime);
-    });
+// Runs one fixed-length simulation tick of the live game
+function simulateTick() {
+    const input = getControllerInput();
+    saveRewindPoint();
+    recordStep(recording, game.tick, input);
+    step(game, input, TICK_MS);
     
-    // Check for collisions after all snakes have moved
-    if (checkSnakeCollisions()) {
-        gameOver = true;
-        
-        // Update high score if current score is higher
-        if (snakes.length > highScore) {
-            highScore = snakes.length;
-            saveHighScore();  // Save the new high score
+    if (game.gameOver) {
+        // Put the run on the leaderboard for its rules if it's good enough
+        // (test-plays from the level editor, versus games and bots don't count)
+        if (!editor && game.rules.players === 1 && !isAttractMode()) {
+            addLeaderboardEntry(game);
         }
         
-        console.log('Game Over! Snake collision detected.');
-        console.log('Final score:', snakes.length, 'High score:', highScore);
+        simLog.info('Game Over!', describeCrash(game));
+        simLog.info('Final score:', game.snakes.length, 'High score:', getBestScore(game.rules));
+        
+        if (settings.instantReplay && !isReducedMotion() && !isAttractMode()) {
+            startInstantReplay();
+        }
+    }
+}
+
+// Main game update function, called once per frame with the real time that passed
+function gameLoop(frameTime) {
+    // The level editor has nothing to simulate, it just draws the level
+    if (editor && !editor.testing) {
+        drawEditor();
+        drawToast();
+        return;
+    }
+    
+    // The benchmark scene moves its own snakes (see snake-render.js)
+    if (benchmark) {
+        updateBenchmark(frameTime);
+        return;
+    }
+    
+    if (instantReplay) {
+        // Showing the end of the last game again (see INSTANT REPLAY)
+        updateInstantReplay(frameTime);
+    } else if (playback) {
+        // Watching a replay - play the recorded ticks instead of reading input
+        if (!gamePaused) updatePlayback(frameTime);
+    } else if (!game.gameOver && !gamePaused) {
+        // Turn the real time into as many whole ticks as fit,
+        // carrying the remainder over to the next frame
+        deltaTime += frameTime;
+        while (deltaTime >= TICK_MS && !game.gameOver && !instantReplay) {
+            simulateTick();
+            deltaTime -= TICK_MS;
+        }
+    } else {
+        // Time spent in menus doesn't carry over into the game
+        deltaTime = 0;
+    }
+    
+    // Screen reader messages and sound wait until the instant replay is over,
+    // so the rewound game doesn't count as a new one
+    if (!instantReplay) {
+        updateAnnouncements();  // Screen reader messages (see snake-accessibility.js)
+        updateSounds();  // Sound effects and music (see snake-audio.js)
+    }
+    
+    // A bot playing on its own starts the next game by itself
+    if (game.gameOver && !showSettings && !leaderboardView && !playback && isAttractMode()) {
+        attractTime += frameTime;
+        if (attractTime >= ATTRACT_RESTART_DELAY) restartGame();
     }
     
     draw();         // Draw everything
+    if (playback) drawPlaybackBar();
+    if (instantReplay) drawInstantReplayBar();
+    
+    // The debug overlay (see snake-debug.js)
+    updateDebugStats(frameTime);
+    if (debugOverlay) drawDebugOverlay();
 }
 
 // ====== ANIMATION LOOP ======
 // Handles the timing of the game updates
+// Drawing happens once per screen refresh, while the simulation moves in
+// fixed TICK_MS steps - so 60Hz, 144Hz and slow devices all play at the same speed
 function animate(currentTime) {
     // On first frame, just set up timing
     if (lastTime === 0) {
@@ -688,31 +1134,61 @@ function animate(currentTime) {
         return;  // Skip first frame
     }
     
-    // Calculate how much time has passed
-    deltaTime = currentTime - lastTime;
+    // Calculate how much time has passed (capped, see MAX_FRAME_TIME)
+    const frameTime = Math.min(currentTime - lastTime, MAX_FRAME_TIME);
     lastTime = currentTime;
     
-    // Always update game loop (individual snakes handle their own timing)
-    gameLoop();
+    pollGamepads();  // Gamepads are checked once a frame (see snake-gamepad.js)
+    updateToast(frameTime);
+    gameLoop(frameTime);
     
     // Request next frame
     requestAnimationFrame(animate);
 }
 
+// ====== HIDDEN TAB HANDLING ======
+// When the tab is hidden the game pauses itself (a replay pauses too),
+// and the time spent away never counts towards the simulation
+function handleVisibilityChange() {
+    if (document.hidden) {
+        if (instantReplay) finishInstantReplay();
+        if (playback) {
+            playback.paused = true;
+        } else if (!game.gameOver && !gamePaused) {
+            togglePause();
+        }
+        simLog.debug('Tab hidden, game paused');
+    } else {
+        // Start timing fresh on the next frame instead of counting the hidden time
+        lastTime = 0;
+    }
+}
+
 // ====== GAME RESTART ======
 // Restarts the game from the beginning
 function restartGame() {
-    gameOver = false;
     gamePaused = false;  // Reset pause state
     showSettings = false;  // Close settings menu
-    speedSettingChanged = false;  // Reset speed setting change flag
-    originalSpeedIncrease = false;  // Reset original speed settings
-    originalIndividualSpeeds = false;  // Reset original individual speeds
-    initializeSnake();
-    food = generateFood();
+    playback = null;  // Leave replay playback
+    instantReplay = null;  // Stop showing the end of the last game
+    leaderboardView = null;  // Close the leaderboard
+    lastLeaderboardEntry = null;  // The next run is a new one
+    game = createGame();
+    recording = createReplay(game);
+    rewindPoints = [];
+    resizeCanvas();
+    pendingDirections = [[], []];
+    attractTime = 0;
     lastTime = 0;
     deltaTime = 0;
-    console.log('Game restarted!');
+    simLog.info('Game restarted!');
+}
+
+// ====== PAUSING ======
+// Pauses or unpauses the game
+function togglePause() {
+    gamePaused = !gamePaused;
+    showSettings = false;  // Close settings when pausing/unpausing
 }
 
 // ====== TOUCH CONTROLS ======
@@ -726,8 +1202,29 @@ function handleTouchStart(event) {
     touchStartX = touch.clientX;
     touchStartY = touch.clientY;
     touchStartTime = Date.now();
+    touchLastY = touch.clientY;
+    
+    // In the level editor a finger paints like the mouse
+    if (editor && !editor.testing) {
+        const rect = canvas.getBoundingClientRect();
+        handleEditorPointerDown(touch.clientX - rect.left, touch.clientY - rect.top);
+    }
+    
+    inputLog.debug('Touch started at:', touchStartX, touchStartY);
+}
+
+// Handles a finger moving: paints in the level editor, and drags long menus up and down
+function handleTouchMove(event) {
+    event.preventDefault();
+    const touch = event.touches[0];
     
-    console.log('Touch started at:', touchStartX, touchStartY);
+    if (editor && !editor.testing) {
+        const rect = canvas.getBoundingClientRect();
+        handleEditorPointerMove(touch.clientX - rect.left, touch.clientY - rect.top);
+    } else if (getActiveMenu()) {
+        scrollMenu(touchLastY - touch.clientY);
+    }
+    touchLastY = touch.clientY;
 }
 
 // Handles touch end events and detects swipe direction
@@ -735,15 +1232,34 @@ function handleTouchEnd(event) {
     // Prevent default touch behavior
     event.preventDefault();
     
+    if (editor && !editor.testing) {
+        handleEditorPointerUp();
+        return;
+    }
+    
+    // A tap skips the instant replay
+    if (instantReplay) {
+        finishInstantReplay();
+        return;
+    }
+    
+    // Taps on the replay progress bar seek the replay
+    if (playback && !game.gameOver && !gamePaused) {
+        const touch = event.changedTouches[0];
+        const rect = canvas.getBoundingClientRect();
+        if (handlePlaybackBarClick(touch.clientX - rect.left, touch.clientY - rect.top)) return;
+    }
+    
     // Check if touch is on menu buttons (works on all devices)
-    if (gameOver || gamePaused) {
+    // A finger that moved was scrolling the menu, not tapping
+    const menu = getActiveMenu();
+    if (menu) {
         const touch = event.changedTouches[0];
         const rect = canvas.getBoundingClientRect();
-        const canvasX = touch.clientX - rect.left;
-        const canvasY = touch.clientY - rect.top;
-        
-        // Handle button clicks
-        handleButtonClick(canvasX, canvasY);
+        const moved = Math.hypot(touch.clientX - touchStartX, touch.clientY - touchStartY);
+        if (moved < minSwipeDistance) {
+            handleMenuClick(menu, touch.clientX - rect.left, touch.clientY - rect.top);
+        }
         return;
     }
     
@@ -764,7 +1280,7 @@ function handleTouchEnd(event) {
     // Calculate distance using Pythagorean theorem
     const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
     
-    console.log('Touch ended. Distance:', distance, 'Time:', deltaTime);
+    inputLog.debug('Touch ended. Distance:', distance, 'Time:', deltaTime);
     
     // Check if this qualifies as a swipe
     if (distance >= minSwipeDistance && deltaTime <= maxSwipeTime) {
@@ -775,42 +1291,28 @@ function handleTouchEnd(event) {
             // Horizontal swipe
             if (deltaX > 0) {
                 newDirection = { x: 1, y: 0 };  // Swipe right
-                console.log('Swipe right detected');
+                inputLog.debug('Swipe right detected');
             } else {
                 newDirection = { x: -1, y: 0 }; // Swipe left
-                console.log('Swipe left detected');
+                inputLog.debug('Swipe left detected');
             }
         } else {
             // Vertical swipe
             if (deltaY > 0) {
                 newDirection = { x: 0, y: 1 };   // Swipe down
-                console.log('Swipe down detected');
+                inputLog.debug('Swipe down detected');
             } else {
                 newDirection = { x: 0, y: -1 }; // Swipe up
-                console.log('Swipe up detected');
+                inputLog.debug('Swipe up detected');
             }
         }
         
-        // Apply the new direction using the same logic as keyboard controls
-        if (newDirection && snakes.length > 0) {
-            const currentDir = snakes[0].direction;
-            const currentTime = performance.now();
-            
-            // Check if direction change is valid (same as keyboard logic)
-            let isValidDirection = false;
-            if (newDirection.x === 1 && currentDir.x !== -1) isValidDirection = true;  // Right
-            if (newDirection.x === -1 && currentDir.x !== 1) isValidDirection = true;   // Left
-            if (newDirection.y === 1 && currentDir.y !== -1) isValidDirection = true;    // Down
-            if (newDirection.y === -1 && currentDir.y !== 1) isValidDirection = true;  // Up
-            
-            // Apply direction change if valid and enough time has passed
-            if (isValidDirection && currentTime - lastInputTime >= minInputInterval) {
-                snakes.forEach(snake => {
-                    snake.direction = newDirection;
-                });
-                lastInputTime = currentTime;
-                console.log('Snake direction changed via touch:', newDirection);
-            }
+        // Hand the new direction to the snakes, the same way as keyboard controls
+        // In versus, swipes on the left half steer player one and the right half player two
+        const rect = canvas.getBoundingClientRect();
+        const player = game.rules.players === 2 && touchStartX - rect.left >= canvas.width / 2 ? 1 : 0;
+        if (newDirection && requestDirection(newDirection, player)) {
+            inputLog.debug('Snake direction changed via touch:', newDirection);
         }
     }
     
@@ -820,102 +1322,58 @@ function handleTouchEnd(event) {
     touchStartTime = 0;
 }
 
-// ====== BUTTON CLICK HANDLER ======
-// Handles clicks on menu buttons
-function handleButtonClick(canvasX, canvasY) {
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
-    
-    if (!showSettings) {
-        // Main menu buttons
-        const buttonHeight = 40;
-        const startY = centerY + 20;
-        
-        // Settings button
-        if (canvasY >= startY - buttonHeight/2 && canvasY <= startY + buttonHeight/2) {
-            showSettings = true;
-            console.log('Settings opened');
-            return;
-        }
-        
-        // Resume button (pause menu only) - at position +70
-        if (gamePaused && canvasY >= startY + 50 - buttonHeight/2 && canvasY <= startY + 50 + buttonHeight/2) {
-            gamePaused = false;
-            showSettings = false;
-            console.log('Game resumed');
-            return;
-        }
-        
-        // Restart button - different positions for game over vs pause
-        if (gameOver && canvasY >= startY + 50 - buttonHeight/2 && canvasY <= startY + 50 + buttonHeight/2) {
-            // Game over screen: restart at +70
-            restartGame();
-            console.log('Game restarted from game over');
-            return;
-        }
-        
-        if (gamePaused && canvasY >= startY + 100 - buttonHeight/2 && canvasY <= startY + 100 + buttonHeight/2) {
-            // Pause screen: restart at +120
-            restartGame();
-            console.log('Game restarted from pause');
-            return;
-        }
-    } else {
-        // Settings menu buttons
-        const buttonHeight = 40;
-        const startY = centerY + 110;
-        
-        // Toggle Counter
-        if (canvasY >= startY - buttonHeight/2 && canvasY <= startY + buttonHeight/2) {
-            showLiveCounter = !showLiveCounter;
-            saveSettings();
-            console.log('Counter toggled:', showLiveCounter);
-            return;
-        }
-        
-        // Toggle Speed
-        if (canvasY >= startY + 50 - buttonHeight/2 && canvasY <= startY + 50 + buttonHeight/2) {
-            speedIncrease = !speedIncrease;
-            if (!speedIncrease) individualSpeeds = false;
-            saveSettings();
-            console.log('Speed toggled:', speedIncrease);
-            return;
-        }
-        
-        // Toggle Individual (if speed is on)
-        if (speedIncrease && canvasY >= startY + 100 - buttonHeight/2 && canvasY <= startY + 100 + buttonHeight/2) {
-            individualSpeeds = !individualSpeeds;
-            saveSettings();
-            console.log('Individual toggled:', individualSpeeds);
-            return;
-        }
-        
-        // Restart
-        if (canvasY >= startY + 150 - buttonHeight/2 && canvasY <= startY + 150 + buttonHeight/2) {
-            restartGame();
-            console.log('Game restarted');
-            return;
-        }
-        
-        // Close
-        if (canvasY >= startY + 200 - buttonHeight/2 && canvasY <= startY + 200 + buttonHeight/2) {
-            showSettings = false;
-            console.log('Settings closed');
-            return;
-        }
-    }
-}
-
 // ====== MOUSE CLICK HANDLER ======
 // Handles mouse clicks on buttons
 function handleMouseClick(event) {
-    if (!gameOver && !gamePaused) return;
-    
     const rect = canvas.getBoundingClientRect();
     const canvasX = event.clientX - rect.left;
     const canvasY = event.clientY - rect.top;
     
-    handleButtonClick(canvasX, canvasY);
+    // The level editor uses mousedown/mousemove/mouseup instead
+    if (editor && !editor.testing) return;
+    
+    // A click skips the instant replay
+    if (instantReplay) {
+        finishInstantReplay();
+        return;
+    }
+    
+    // The replay progress bar can be clicked while the replay is running
+    if (playback && !game.gameOver && !gamePaused) {
+        handlePlaybackBarClick(canvasX, canvasY);
+        return;
+    }
+    
+    const menu = getActiveMenu();
+    if (menu) handleMenuClick(menu, canvasX, canvasY);
+}
+
+// Mouse button, movement and release - only used to paint in the level editor
+function handleMouseDown(event) {
+    if (!editor || editor.testing) return;
+    const rect = canvas.getBoundingClientRect();
+    handleEditorPointerDown(event.clientX - rect.left, event.clientY - rect.top);
+}
+
+function handleMouseMove(event) {
+    const rect = canvas.getBoundingClientRect();
+    
+    // Menu buttons light up under the mouse
+    menuPointer = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    
+    if (!editor || editor.testing) return;
+    handleEditorPointerMove(event.clientX - rect.left, event.clientY - rect.top);
+}
+
+// The mouse wheel scrolls menus that don't fit on the screen
+function handleMouseWheel(event) {
+    if (!getActiveMenu()) return;
+    event.preventDefault();
+    scrollMenu(event.deltaY);
+}
+
+function handleMouseUp() {
+    if (editor && !editor.testing) handleEditorPointerUp();
 }
 
 // ====== KEYBOARD CONTROLS ======
@@ -924,143 +1382,199 @@ function handleKeyPress(event) {
     // Prevent default behavior (like scrolling the page)
     event.preventDefault();
     
-    // Handle pause key (works anytime during gameplay)
-    if (event.key.toLowerCase() === 'p' && !gameOver) {
-        if (!gamePaused) {
-            // Pausing - capture original speed settings
-            originalSpeedIncrease = speedIncrease;
-            originalIndividualSpeeds = individualSpeeds;
-            speedSettingChanged = false;  // Reset change flag
-        }
-        gamePaused = !gamePaused;
-        showSettings = false;  // Close settings when pausing/unpausing
+    // The debug key works everywhere (see snake-debug.js)
+    if (event.key === DEBUG_KEY) {
+        toggleDebugOverlay();
         return;
     }
     
-    // Handle fullscreen toggle (F11 key)
-    if (event.key === 'F11') {
-        event.preventDefault(); // Prevent browser's default F11 behavior
-        toggleFullscreen();
+    // Any other key skips the instant replay
+    if (instantReplay) {
+        finishInstantReplay();
         return;
     }
     
-    // Handle restart key (works in both game over and pause states)
-    if (event.key.toLowerCase() === 'r' && (gameOver || gamePaused) && !showSettings) {
-        restartGame();
+    // The level editor has its own keys
+    if (editor && !editor.testing) {
+        handleEditorKey(event);
         return;
     }
     
-    // Handle restart from settings menu (force restart if speed settings changed)
-    if (event.key.toLowerCase() === 'r' && (gameOver || gamePaused) && showSettings) {
-        restartGame();
+    // The only key in the benchmark scene is Escape, to leave it
+    if (benchmark) {
+        if (event.key === 'Escape') stopBenchmark();
         return;
     }
     
-    // Handle settings key (works in both game over and pause states)
-    if (event.key.toLowerCase() === 's' && (gameOver || gamePaused) && !showSettings) {
-        showSettings = true;
+    // Replay playback has its own keys (menus keep working as normal)
+    if (playback && !showSettings && handlePlaybackKey(event)) {
         return;
     }
     
-    // Handle settings toggle (works in both game over and pause states)
-    if (event.key.toLowerCase() === 't' && (gameOver || gamePaused) && showSettings) {
-        showLiveCounter = !showLiveCounter;
-        saveSettings();  // Save the setting change
+    // The open menu's buttons each have a key (see getActiveMenu)
+    const menu = getActiveMenu();
+    if (menu && handleMenuKey(menu, event)) {
         return;
     }
     
-    // Handle speed increase toggle (works in both game over and pause states)
-    if (event.key.toLowerCase() === 'y' && (gameOver || gamePaused) && showSettings) {
-        speedIncrease = !speedIncrease;
-        // If speed increase is turned off, also turn off individual speeds
-        if (!speedIncrease) {
-            individualSpeeds = false;
-        }
-        saveSettings();  // Save the setting change
-        // Check if speed settings differ from original when paused
-        if (gamePaused) {
-            speedSettingChanged = (speedIncrease !== originalSpeedIncrease) || (individualSpeeds !== originalIndividualSpeeds);
-        }
+    // Go back to the level editor at any time while test-playing
+    if (event.key.toLowerCase() === 'k' && editor && editor.testing) {
+        openEditor();
         return;
     }
     
-    // Handle individual speeds toggle (works in both game over and pause states)
-    if (event.key.toLowerCase() === 'i' && (gameOver || gamePaused) && showSettings) {
-        individualSpeeds = !individualSpeeds;
-        saveSettings();  // Save the setting change
-        // Check if speed settings differ from original when paused
-        if (gamePaused) {
-            speedSettingChanged = (speedIncrease !== originalSpeedIncrease) || (individualSpeeds !== originalIndividualSpeeds);
-        }
+    // Handle pause key (works anytime during gameplay)
+    if (event.key.toLowerCase() === 'p' && !game.gameOver) {
+        togglePause();
         return;
     }
     
-    // Handle settings close (works in both game over and pause states)
-    if (event.key === 'Escape' && (gameOver || gamePaused) && showSettings) {
-        showSettings = false;
+    // Handle fullscreen toggle (F11 key)
+    if (event.key === 'F11') {
+        event.preventDefault(); // Prevent browser's default F11 behavior
+        toggleFullscreen();
         return;
     }
     
     // Only handle movement keys if game is not over and not paused
-    if (gameOver || gamePaused) return;
+    if (game.gameOver || gamePaused) return;
     
-    // Only change direction if snakes exist
-    if (snakes.length === 0) return;
+    // In versus, WASD steers player one and the arrow keys player two
+    if (game.rules.players === 2) {
+        const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+        const player = PLAYER_KEYS.findIndex(keys => keys[key]);
+        if (player !== -1) {
+            requestDirection(PLAYER_KEYS[player][key], player);
+        }
+        return;
+    }
     
-    // Get the current direction of the first snake (all snakes move together)
-    const currentDir = snakes[0].direction;
     let newDirection = null;
     
     // Handle each arrow key
     switch(event.key) {
         case 'ArrowUp':
-            // Only change to up if not currently moving down
-            if (currentDir.y !== 1) {
-                newDirection = { x: 0, y: -1 };
-            }
+            newDirection = { x: 0, y: -1 };
             break;
         case 'ArrowDown':
-            // Only change to down if not currently moving up
-            if (currentDir.y !== -1) {
-                newDirection = { x: 0, y: 1 };
-            }
+            newDirection = { x: 0, y: 1 };
             break;
         case 'ArrowLeft':
-            // Only change to left if not currently moving right
-            if (currentDir.x !== 1) {
-                newDirection = { x: -1, y: 0 };
-            }
+            newDirection = { x: -1, y: 0 };
             break;
         case 'ArrowRight':
-            // Only change to right if not currently moving left
-            if (currentDir.x !== -1) {
-                newDirection = { x: 1, y: 0 };
-            }
+            newDirection = { x: 1, y: 0 };
             break;
     }
     
-    // Apply the new direction to all snakes if it's valid AND enough time has passed
+    // Hand the new direction to the snakes (the turn is checked there)
     if (newDirection) {
-        const currentTime = performance.now();
-        if (currentTime - lastInputTime >= minInputInterval) {
-            snakes.forEach(snake => {
-                snake.direction = newDirection;
-            });
-            lastInputTime = currentTime;  // Record when this input was processed
+        requestDirection(newDirection);
+    }
+}
+
+// ====== GAMEPAD CONTROLS ======
+// Called by pollGamepads (snake-gamepad.js) for each button that was just pressed
+// slot: 0 for the first connected pad, 1 for the second
+// While playing, the D-pad and stick steer (the first pad is player 1, the
+// second player 2) the same way the arrow keys do. In menus the D-pad moves the
+// focus, A presses the focused button and B goes back, just like the arrow keys,
+// Enter and Escape. Pause, restart and settings are on the buttons picked in
+// the Gamepad settings.
+function handleGamepadButton(name, slot) {
+    if (editor && !editor.testing) return;
+    
+    // Any button skips the instant replay
+    if (instantReplay) {
+        finishInstantReplay();
+        return;
+    }
+    
+    switch (getGamepadAction(name)) {
+        case 'pause':
+            // Like P: pauses a replay, or the game while it's running
+            if (playback && !showSettings && handlePlaybackKey({ key: 'p' })) return;
+            if (!game.gameOver) togglePause();
+            return;
+        case 'restart':
+            // Like R, only from a menu so a stray press can't end a run
+            if (game.gameOver || gamePaused) restartGame();
+            return;
+        case 'settings':
+            // Opens settings straight from a running game too (pausing it first)
+            if (showSettings) {
+                closeSettings();
+                return;
+            }
+            if (!game.gameOver && !gamePaused) togglePause();
+            openSettings();
+            return;
+    }
+    
+    const menu = getActiveMenu();
+    if (!menu) {
+        // Steering - in versus each pad has its own player, otherwise every pad steers
+        const player = game.rules.players === 2 ? slot : 0;
+        if (GAMEPAD_DIRECTIONS[name] && player < game.rules.players && !game.gameOver && !gamePaused && !playback) {
+            requestDirection(GAMEPAD_DIRECTIONS[name], player);
         }
+        return;
+    }
+    
+    switch (name) {
+        case 'up':
+            moveMenuFocus(menu, -1);
+            break;
+        case 'down':
+            moveMenuFocus(menu, 1);
+            break;
+        case 'left':
+            handleMenuKey(menu, { key: 'ArrowLeft' });
+            break;
+        case 'right':
+            handleMenuKey(menu, { key: 'ArrowRight' });
+            break;
+        case 'a':
+            activateMenuFocus(menu);
+            break;
+        case 'b':
+            menuBack(menu);
+            break;
     }
 }
 
+// Pause when the tab is hidden
+document.addEventListener('visibilitychange', handleVisibilityChange);
+
+// Add gamepad connection event listeners (the buttons are polled, see snake-gamepad.js)
+window.addEventListener('gamepadconnected', handleGamepadConnected);
+window.addEventListener('gamepaddisconnected', handleGamepadDisconnected);
+
 // Add keyboard event listener
 document.addEventListener('keydown', handleKeyPress);
 
+// Sound can only start after a key press, click or tap (see snake-audio.js)
+document.addEventListener('keydown', unlockAudio);
+canvas.addEventListener('pointerdown', unlockAudio);
+canvas.addEventListener('touchstart', unlockAudio);
+
 // Add touch event listeners for mobile controls
 canvas.addEventListener('touchstart', handleTouchStart, { passive: false });
+canvas.addEventListener('touchmove', handleTouchMove, { passive: false });
 canvas.addEventListener('touchend', handleTouchEnd, { passive: false });
 
 // Add mouse click event listener
 canvas.addEventListener('click', handleMouseClick);
 
+// Add mouse painting event listeners for the level editor
+canvas.addEventListener('mousedown', handleMouseDown);
+canvas.addEventListener('mousemove', handleMouseMove);
+window.addEventListener('mouseup', handleMouseUp);
+
+// Add menu hover and scrolling event listeners
+canvas.addEventListener('mouseleave', () => { menuPointer = null; });
+canvas.addEventListener('wheel', handleMouseWheel, { passive: false });
+
 // Add fullscreen event listeners (F11, browser controls, etc.)
 document.addEventListener('fullscreenchange', handleFullscreenChange);
 document.addEventListener('webkitfullscreenchange', handleFullscreenChange); // Safari
@@ -0,0 +1,213 @@
+// ====== THEMES ======
+// A theme decides how the board, snakes and fruit look: every color, the style
+// of the snakes' eyes and how fruit is drawn. There are a few built-in themes,
+// and custom ones can be loaded from a JSON file (they're kept in localStorage).
+// The colorblind and high-contrast palettes (snake-accessibility.js) swap out a
+// theme's colors but keep its shapes.
+//
+// A theme file looks like the built-in themes below - anything left out is
+// taken from the classic theme:
+//   {
+//       "name": "Sunset",
+//       "board": "#402", "border": "#301",
+//       "leader": "#fc0", "snakes": ["#f60", "#f9c"],
+//       "players": [["#fc0", "#fe6"], ["#0cf", "#6ef"]],
+//       "fruits": { "apple": "#f33" },
+//       "head": { "eyes": "round", "eyeColor": "#fff" },
+//       "food": { "shape": "round" },
+//       "glow": 8
+//   }
+// Keys that aren't in the classic theme are ignored.
+
+const THEMES_KEY = 'snake_themes';  // localStorage key for the loaded custom themes
+const CUSTOM_THEME_PREFIX = 'custom:';  // Custom themes' ids are this plus their name
+
+const EYE_STYLES = ['square', 'round', 'none'];
+const FOOD_SHAPES = ['apple', 'round', 'square', 'diamond'];
+
+// board: background, border: the border checkerboard and walls
+// leader: the longest snake(s) in single player, snakes: the other snakes in turn
+// players: each player's range of colors in versus
+// fruits: the color of each fruit type
+// head: { eyes (one of EYE_STYLES), eyeColor }
+// food: { shape (one of FOOD_SHAPES), stem, leaf } - stem and leaf are only drawn on apples
+// glow: how far snakes and fruit glow (pixels on a CELL_SIZE cell, 0 for no glow)
+const THEMES = {
+    classic: {
+        name: 'Classic',
+        board: '#152',
+        border: '#141',  // Darker version of #152
+        leader: '#0f0',
+        // Avoiding greens, reds and pinks so they stand out from the leader and the apples
+        snakes: ['#0ff', '#ff0', '#00f', '#f80', '#08f', '#880', '#808', '#088'],
+        players: [
+            ['#0f0', '#6f6', '#0c4', '#9f3', '#0f9', '#4c0'],  // Player 1: greens
+            ['#f80', '#fa4', '#e60', '#fb0', '#f64', '#c70']   // Player 2: oranges
+        ],
+        fruits: { apple: '#f00', golden: '#fd0', ice: '#4cf', shrink: '#a4f', ghost: '#eee' },
+        head: { eyes: 'square', eyeColor: '#000' },
+        food: { shape: 'apple', stem: '#8B4513', leaf: '#228B22' },
+        glow: 0
+    },
+    // The four greens of an old handheld's screen
+    lcd: {
+        name: 'Retro LCD',
+        board: '#9bbc0f',
+        border: '#8bac0f',
+        leader: '#0f380f',
+        snakes: ['#306230'],
+        players: [['#0f380f'], ['#306230']],
+        fruits: { apple: '#0f380f', golden: '#306230', ice: '#306230', shrink: '#0f380f', ghost: '#8bac0f' },
+        head: { eyes: 'square', eyeColor: '#9bbc0f' },
+        food: { shape: 'diamond' },
+        glow: 0
+    },
+    neon: {
+        name: 'Neon',
+        board: '#05010f',
+        border: '#1a0b3b',
+        leader: '#39ff14',
+        snakes: ['#0ff', '#f0f', '#ff0', '#f60', '#0af', '#f3a'],
+        players: [
+            ['#39ff14', '#0ff', '#7fff00'],  // Player 1: greens and cyan
+            ['#f0f', '#ff2fb0', '#ff6ec7']   // Player 2: pinks
+        ],
+        fruits: { apple: '#ff073a', golden: '#ffe600', ice: '#0ff', shrink: '#bf00ff', ghost: '#fff' },
+        head: { eyes: 'round', eyeColor: '#fff' },
+        food: { shape: 'round' },
+        glow: 10
+    }
+};
+
+// The custom themes that were loaded, by name
+let customThemes = {};
+
+// ====== CHECKING ======
+// True if the value is color text the browser understands ("#152", "red", "rgb(0, 80, 40)"...)
+function isThemeColor(value) {
+    return typeof value === 'string' && CSS.supports('color', value);
+}
+
+// Copies the fields of data that the template has too (data may be missing)
+// so a theme file can't add or overwrite anything else on a theme
+function pickThemeFields(template, data) {
+    const picked = {};
+    if (!data || typeof data !== 'object') return picked;
+    Object.keys(template).forEach(key => {
+        if (Object.prototype.hasOwnProperty.call(data, key)) picked[key] = data[key];
+    });
+    return picked;
+}
+
+// Builds a full theme from theme file data, filling in anything left out from
+// the classic theme
+// Throws an Error explaining what is wrong if the data isn't a usable theme
+function createTheme(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Theme file is not a JSON object');
+    }
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        throw new Error('Theme has no name');
+    }
+
+    const classic = THEMES.classic;
+    const theme = Object.assign({}, classic, pickThemeFields(classic, data), {
+        name: data.name.trim().slice(0, 24),
+        fruits: Object.assign({}, classic.fruits, pickThemeFields(classic.fruits, data.fruits)),
+        head: Object.assign({}, classic.head, pickThemeFields(classic.head, data.head)),
+        food: Object.assign({}, classic.food, pickThemeFields(classic.food, data.food))
+    });
+
+    const isColorList = list => Array.isArray(list) && list.length > 0 && list.every(isThemeColor);
+    if (![theme.board, theme.border, theme.leader, theme.head.eyeColor, theme.food.stem, theme.food.leaf].every(isThemeColor)) {
+        throw new Error('Theme colors have to be CSS color text like "#152"');
+    }
+    if (!isColorList(theme.snakes)) {
+        throw new Error('Theme needs a list of snake colors');
+    }
+    if (!Array.isArray(theme.players) || theme.players.length !== 2 || !theme.players.every(isColorList)) {
+        throw new Error('Theme needs a list of colors for each of the two players');
+    }
+    if (!FRUIT_NAMES.every(name => isThemeColor(theme.fruits[name]))) {
+        throw new Error('Theme fruit colors have to be CSS color text');
+    }
+    if (!EYE_STYLES.includes(theme.head.eyes)) {
+        throw new Error(`Theme eyes have to be one of: ${EYE_STYLES.join(', ')}`);
+    }
+    if (!FOOD_SHAPES.includes(theme.food.shape)) {
+        throw new Error(`Theme food shape has to be one of: ${FOOD_SHAPES.join(', ')}`);
+    }
+    if (typeof theme.glow !== 'number' || !(theme.glow >= 0)) {
+        throw new Error('Theme glow has to be a number of pixels');
+    }
+    return theme;
+}
+
+// ====== PICKING ======
+// The ids of every theme, built-in ones first
+function getThemeIds() {
+    return Object.keys(THEMES).concat(Object.keys(customThemes).map(name => CUSTOM_THEME_PREFIX + name));
+}
+
+// The theme picked in settings (classic if it's gone missing)
+function getTheme() {
+    const id = settings.theme;
+    if (id.startsWith(CUSTOM_THEME_PREFIX)) {
+        return customThemes[id.slice(CUSTOM_THEME_PREFIX.length)] || THEMES.classic;
+    }
+    return THEMES[id] || THEMES.classic;
+}
+
+// Gives the page around the canvas the board color, so the edges match while
+// the window is being resized (index.html reads the --board-color variable)
+function updatePageColors() {
+    document.documentElement.style.setProperty('--board-color', getPalette().board);
+}
+
+// ====== STORAGE ======
+// Loads the custom themes from localStorage (ones that no longer check out are skipped)
+function loadCustomThemes() {
+    customThemes = {};
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(THEMES_KEY)) || {};
+    } catch (error) {
+        settingsLog.warn('Custom themes could not be read:', error.message);
+    }
+
+    Object.keys(saved).forEach(name => {
+        try {
+            customThemes[name] = createTheme(saved[name]);
+        } catch (error) {
+            settingsLog.warn(`Skipping custom theme "${name}":`, error.message);
+        }
+    });
+}
+
+function saveCustomThemes() {
+    localStorage.setItem(THEMES_KEY, JSON.stringify(customThemes));
+}
+
+// Asks for a theme file, keeps it (replacing a custom theme with the same name)
+// and switches to it
+function importTheme() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) return;
+
+        file.text().then(text => {
+            const theme = createTheme(JSON.parse(text));
+            customThemes[theme.name] = theme;
+            saveCustomThemes();
+            setSetting('theme', CUSTOM_THEME_PREFIX + theme.name);
+            settingsLog.info('Theme imported:', theme.name);
+        }).catch(err => {
+            settingsLog.error('Error importing theme:', err);
+            window.alert(`Could not import theme: ${err.message}`);
+        });
+    });
+    input.click();
+}
@@ -0,0 +1,366 @@
+// ====== MENUS ======
+// The game over, pause, settings and leaderboard screens are each declared once,
+// as a list of widgets (see getActiveMenu in snake-snake-snake.js). That one list
+// is used to lay the screen out, draw it, light up the button under the mouse,
+// and work out which button a click, tap or key press belongs to.
+// One button at a time has the focus (drawn with a gold ring): the arrow keys or
+// a D-pad move it, Enter or the A button presses it, and Escape or B goes back.
+// Uses the canvas, ctx, drawButton and refreshMenu globals from snake-snake-snake.js.
+// Menus are kept between frames, so every action below is followed by
+// refreshMenu() to show what it changed.
+//
+// A menu is { id, widgets, back } - back() is what going back does (leave it
+// out if there's nowhere to go back to). The widgets are stacked top to bottom
+// in the middle of the screen:
+//   { type: 'title', text }                      big heading (GAME OVER)
+//   { type: 'heading', text }                    smaller heading (SETTINGS)
+//   { type: 'text', text, font, color }          a line of text (20px white unless given)
+//   { type: 'warning', text }                    a line of small red text
+//   { type: 'button', text, key, keys, action }  clicking it, or pressing key or
+//                                                 one of keys, runs action()
+//   { type: 'table', columns, header, rows, highlight, empty, width }  see drawMenuTable
+//   { type: 'spacer' }                           a little empty space
+//   { type: 'shortcut', key, action }            a key with no button (not drawn)
+
+const MENU_PADDING = 20;  // Space kept free above and below a menu (pixels)
+const MENU_MIN_SCALE = 0.6;  // Menus shrink down to this size on short screens, then scroll
+const MENU_BUTTON_WIDTH = 200;  // Same size drawButton draws
+const MENU_BUTTON_HEIGHT = 40;
+const MENU_SCROLL_STEP = 200;  // How far Page Up and Page Down scroll a long menu (pixels)
+
+// How much room each kind of widget takes up, before scaling (pixels)
+const MENU_ROW_HEIGHTS = { title: 64, heading: 48, text: 28, warning: 24, button: 50, spacer: 16, shortcut: 0 };
+const MENU_TABLE_ROW_HEIGHT = 24;
+
+let menuScroll = 0;  // How far the open menu is scrolled down (pixels)
+let menuPointer = null;  // Where the mouse is over the canvas ({ x, y }), for hover highlights
+let menuId = null;  // Which menu was shown last, so a new menu starts at the top
+let menuFocus = {};  // Index of the focused button in each menu, by menu id
+let menuScrollToFocus = false;  // Set when the focus moves, so a long menu scrolls to it
+
+// ====== FOCUS ======
+// Notices when a different menu is opened: it starts scrolled to the top
+// (its focus is remembered, so going back to a menu lands where you left it)
+function syncMenu(menu) {
+    if (menu.id === menuId) return;
+    menuId = menu.id;
+    menuScroll = 0;
+    menuScrollToFocus = true;
+}
+
+// The buttons of a menu, top to bottom
+function getMenuButtons(menu) {
+    return menu.widgets.filter(widget => widget.type === 'button');
+}
+
+// The button that has the focus (the first one if the menu is new)
+function getFocusedButton(menu) {
+    const buttons = getMenuButtons(menu);
+    if (buttons.length === 0) return null;
+    const index = Math.min(menuFocus[menu.id] || 0, buttons.length - 1);
+    return buttons[index];
+}
+
+// Moves the focus up (step = -1) or down (step = 1), wrapping around the ends
+function moveMenuFocus(menu, step) {
+    syncMenu(menu);
+    const buttons = getMenuButtons(menu);
+    if (buttons.length === 0) return;
+    const index = buttons.indexOf(getFocusedButton(menu));
+    menuFocus[menu.id] = (index + step + buttons.length) % buttons.length;
+    menuScrollToFocus = true;
+}
+
+// Gives the focus to a button (when it's clicked or tapped)
+function setMenuFocus(menu, button) {
+    const index = getMenuButtons(menu).indexOf(button);
+    if (index !== -1) menuFocus[menu.id] = index;
+}
+
+// Presses the focused button
+function activateMenuFocus(menu) {
+    syncMenu(menu);
+    const button = getFocusedButton(menu);
+    if (!button) return;
+    button.action();
+    refreshMenu();
+}
+
+// Goes back out of a menu, if it has somewhere to go back to
+// Returns true if it did
+function menuBack(menu) {
+    if (!menu.back) return false;
+    menu.back();
+    refreshMenu();
+    return true;
+}
+
+// ====== LAYOUT ======
+// Height of a widget before scaling
+function getWidgetHeight(widget) {
+    if (widget.type === 'table') {
+        return (Math.max(widget.rows.length, 1) + 1) * MENU_TABLE_ROW_HEIGHT + 8;
+    }
+    return MENU_ROW_HEIGHTS[widget.type];
+}
+
+// Width a widget needs before scaling (0 for text, which is just centered)
+function getWidgetWidth(widget) {
+    if (widget.type === 'button') return MENU_BUTTON_WIDTH;
+    if (widget.type === 'table') return widget.width;
+    return 0;
+}
+
+// Works out where every widget of a menu goes on the canvas
+// Menus taller than the screen are shrunk (down to MENU_MIN_SCALE) and then scroll
+// Returns { scale, maxScroll, items: [{ widget, x, y, width, height }] },
+// where x, y is the middle of the widget and sizes are on screen
+function layoutMenu(menu) {
+    syncMenu(menu);
+
+    const contentHeight = menu.widgets.reduce((total, widget) => total + getWidgetHeight(widget), 0);
+    const contentWidth = Math.max(...menu.widgets.map(getWidgetWidth));
+    const available = canvas.height - 2 * MENU_PADDING;
+    const scale = Math.max(MENU_MIN_SCALE, Math.min(1, available / contentHeight, (canvas.width - 2 * MENU_PADDING) / contentWidth));
+
+    const height = contentHeight * scale;
+    const maxScroll = Math.max(0, height - available);
+
+    // After the focus moves, scroll just far enough to show the focused button
+    const focused = getFocusedButton(menu);
+    if (menuScrollToFocus && focused && maxScroll > 0) {
+        let focusedTop = 0;
+        for (const widget of menu.widgets) {
+            if (widget === focused) break;
+            focusedTop += getWidgetHeight(widget);
+        }
+        focusedTop *= scale;
+        const focusedBottom = focusedTop + getWidgetHeight(focused) * scale;
+        menuScroll = Math.min(Math.max(menuScroll, focusedBottom - available), focusedTop);
+    }
+    menuScrollToFocus = false;
+    menuScroll = Math.min(Math.max(menuScroll, 0), maxScroll);
+
+    // Centered when it fits, otherwise starting at the top and scrolled
+    let top = maxScroll > 0 ? MENU_PADDING - menuScroll : (canvas.height - height) / 2;
+    const items = menu.widgets.map(widget => {
+        const itemHeight = getWidgetHeight(widget) * scale;
+        const item = {
+            widget: widget,
+            x: canvas.width / 2,
+            y: top + itemHeight / 2,
+            width: getWidgetWidth(widget) * scale,
+            height: itemHeight
+        };
+        top += itemHeight;
+        return item;
+    });
+
+    return { scale: scale, maxScroll: maxScroll, items: items };
+}
+
+// The button at a point on the canvas (null if there isn't one)
+// Both X and Y have to be inside the button itself, not just its row
+function findMenuButton(layout, x, y) {
+    const item = layout.items.find(item => item.widget.type === 'button' &&
+        Math.abs(x - item.x) <= item.width / 2 &&
+        Math.abs(y - item.y) <= MENU_BUTTON_HEIGHT * layout.scale / 2);
+    return item ? item.widget : null;
+}
+
+// ====== DRAWING ======
+// Draws a menu over the game
+function drawMenu(menu) {
+    const layout = layoutMenu(menu);
+    const hovered = menuPointer ? findMenuButton(layout, menuPointer.x, menuPointer.y) : null;
+    const focused = getFocusedButton(menu);
+
+    layout.items.forEach(item => {
+        // Skip anything scrolled out of sight
+        if (item.y + item.height / 2 < 0 || item.y - item.height / 2 > canvas.height) return;
+
+        // Each widget draws itself around (0, 0) at its normal size
+        ctx.save();
+        ctx.translate(item.x, item.y);
+        ctx.scale(layout.scale, layout.scale);
+        drawWidget(item.widget, item.widget === hovered);
+
+        // Focus ring around the focused button
+        if (item.widget === focused) {
+            ctx.strokeStyle = '#ffd700';
+            ctx.lineWidth = 3;
+            ctx.strokeRect(-MENU_BUTTON_WIDTH / 2 - 4, -MENU_BUTTON_HEIGHT / 2 - 4, MENU_BUTTON_WIDTH + 8, MENU_BUTTON_HEIGHT + 8);
+        }
+        ctx.restore();
+    });
+
+    // A thin bar on the right shows how far a long menu is scrolled
+    if (layout.maxScroll > 0) {
+        const trackHeight = canvas.height - 2 * MENU_PADDING;
+        const thumbHeight = trackHeight * trackHeight / (trackHeight + layout.maxScroll);
+        const thumbY = MENU_PADDING + (trackHeight - thumbHeight) * menuScroll / layout.maxScroll;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.fillRect(canvas.width - 8, MENU_PADDING, 4, trackHeight);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.fillRect(canvas.width - 8, thumbY, 4, thumbHeight);
+    }
+}
+
+// Draws one widget centered on (0, 0)
+function drawWidget(widget, hovered) {
+    ctx.fillStyle = '#fff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    switch (widget.type) {
+        case 'title':
+            ctx.font = 'bold 48px Arial';
+            ctx.fillText(widget.text, 0, 0);
+            break;
+        case 'heading':
+            ctx.font = 'bold 36px Arial';
+            ctx.fillText(widget.text, 0, 0);
+            break;
+        case 'text':
+            ctx.font = widget.font || '20px Arial';
+            ctx.fillStyle = widget.color || '#fff';
+            ctx.fillText(widget.text, 0, 0);
+            break;
+        case 'warning':
+            ctx.font = '14px Arial';
+            ctx.fillStyle = '#ff6b6b';  // Red color for warning
+            ctx.fillText(widget.text, 0, 0);
+            break;
+        case 'button':
+            // The label is worked out once and kept on the widget (menus are kept between frames)
+            if (widget.label === undefined) widget.label = `${widget.text} (${widget.key})`;
+            drawButton(0, 0, widget.label, hovered);
+            break;
+        case 'table':
+            drawMenuTable(widget);
+            break;
+    }
+}
+
+// Draws a table widget: a bold header row, then one row per entry
+// columns: [{ x, align }] - where each column's text goes, from the middle
+// highlight: index of a row to draw in gold (or -1)
+// empty: text shown when there are no rows
+function drawMenuTable(widget) {
+    const top = -getWidgetHeight(widget) / 2 + MENU_TABLE_ROW_HEIGHT / 2;
+    const drawRow = (cells, y) => {
+        cells.forEach((text, i) => {
+            ctx.textAlign = widget.columns[i].align || 'center';
+            ctx.fillText(text, widget.columns[i].x, y);
+        });
+    };
+
+    ctx.font = 'bold 16px Arial';
+    drawRow(widget.header, top);
+
+    ctx.font = '16px Arial';
+    if (widget.rows.length === 0) {
+        ctx.textAlign = 'center';
+        ctx.fillText(widget.empty || '', 0, top + MENU_TABLE_ROW_HEIGHT);
+    }
+    widget.rows.forEach((cells, index) => {
+        ctx.fillStyle = index === widget.highlight ? '#ffd700' : '#fff';
+        drawRow(cells, top + (index + 1) * MENU_TABLE_ROW_HEIGHT);
+    });
+}
+
+// ====== INPUT ======
+// Runs the button at a click or tap, if there is one (it also gets the focus)
+// Returns true if a button was pressed
+function handleMenuClick(menu, x, y) {
+    const button = findMenuButton(layoutMenu(menu), x, y);
+    if (!button) return false;
+
+    setMenuFocus(menu, button);
+    button.action();
+    refreshMenu();
+    return true;
+}
+
+// Runs the button or shortcut a key belongs to, or moves the focus:
+// Up/Down (and Tab) move it, Enter or Space presses the focused button,
+// and Escape or Backspace goes back
+// Returns true if the key was used
+function handleMenuKey(menu, event) {
+    const pressed = event.key.toLowerCase();
+    const widget = menu.widgets.find(widget => {
+        if (widget.type !== 'button' && widget.type !== 'shortcut') return false;
+        const keys = [widget.key].concat(widget.keys || []).map(key => String(key).toLowerCase());
+        return keys.includes(pressed) || (pressed === 'escape' && keys.includes('esc'));
+    });
+    if (widget) {
+        widget.action();
+        refreshMenu();
+        return true;
+    }
+
+    switch (event.key) {
+        case 'ArrowUp':
+            moveMenuFocus(menu, -1);
+            return true;
+        case 'ArrowDown':
+            moveMenuFocus(menu, 1);
+            return true;
+        case 'Tab':
+            moveMenuFocus(menu, event.shiftKey ? -1 : 1);
+            return true;
+        case 'Enter':
+        case ' ':
+            activateMenuFocus(menu);
+            return true;
+        case 'Escape':
+        case 'Backspace':
+            return menuBack(menu);
+        case 'PageUp':
+        case 'PageDown':
+            scrollMenu(event.key === 'PageUp' ? -MENU_SCROLL_STEP : MENU_SCROLL_STEP);
+            return true;
+    }
+    return false;
+}
+
+// Scrolls the open menu (it's kept in range the next time the menu is laid out)
+function scrollMenu(amount) {
+    menuScroll += amount;
+}
+
+// ====== TOASTS ======
+// A short message at the top of the screen that fades away by itself
+// (like "Gamepad connected"). A new one replaces the one showing.
+const TOAST_TIME = 3000;  // How long a toast stays up (ms)
+const TOAST_FADE_TIME = 500;  // How long it takes to fade out at the end (ms)
+
+let toast = null;  // The toast showing: { text, timeLeft }, or null
+
+function showToast(text) {
+    toast = { text: text, timeLeft: TOAST_TIME };
+}
+
+// Counts down the toast's time - called once a frame from animate()
+function updateToast(frameTime) {
+    if (!toast) return;
+    toast.timeLeft -= frameTime;
+    if (toast.timeLeft <= 0) toast = null;
+}
+
+// Draws the toast over everything else
+function drawToast() {
+    if (!toast) return;
+
+    ctx.save();
+    ctx.globalAlpha = isReducedMotion() ? 1 : Math.min(1, toast.timeLeft / TOAST_FADE_TIME);
+    ctx.font = '18px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const width = ctx.measureText(toast.text).width + 2 * MENU_PADDING;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.fillRect(canvas.width / 2 - width / 2, MENU_PADDING, width, 36);
+    ctx.fillStyle = '#fff';
+    ctx.fillText(toast.text, canvas.width / 2, MENU_PADDING + 18);
+    ctx.restore();
+}
@@ -0,0 +1,168 @@
+// ====== COLLISION TESTS ======
+// The simultaneous-move rules from the COLLISION DETECTION section of
+// snake-core.js, run through step(), plus the occupancy grid lookups behind them.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const core = require('../snake-core.js');
+
+const RIGHT = { x: 1, y: 0 };
+const LEFT = { x: -1, y: 0 };
+const UP = { x: 0, y: -1 };
+
+// A 20x20 game with no snakes and no food, to put snakes into by hand
+function createEmptyGame() {
+    const state = core.createGameState({ gridWidth: 20, gridHeight: 20, seed: 1 });
+    core.clearSnakes(state);
+    state.food = null;
+    return state;
+}
+
+// Adds a snake with the given body ([x, y] pairs, head first) heading in direction
+function addSnakeWithBody(state, body, direction, extra = {}) {
+    const snake = core.createSnake(0, 0, direction);
+    snake.body = body.map(([x, y]) => ({ x, y }));
+    Object.assign(snake, extra);
+    core.addSnake(state, snake);
+    return snake;
+}
+
+// Runs one step long enough for every snake at the starting speed to move once
+function moveOnce(state) {
+    core.step(state, null, core.SNAKE_SPEED);
+}
+
+// ====== TAIL-CHASING ======
+test('a head can move into its own tail as the tail leaves', () => {
+    const state = createEmptyGame();
+    // A snake curled into a 2x2 square, its head right next to its tail
+    addSnakeWithBody(state, [[6, 5], [6, 6], [5, 6], [5, 5]], LEFT);
+
+    moveOnce(state);
+
+    assert.strictEqual(state.gameOver, false);
+    assert.deepStrictEqual(state.snakes[0].body[0], { x: 5, y: 5 });
+});
+
+test('a head can move into another snake\'s tail as it leaves', () => {
+    const state = createEmptyGame();
+    addSnakeWithBody(state, [[4, 5], [3, 5], [2, 5]], RIGHT);
+    addSnakeWithBody(state, [[6, 4], [6, 5], [5, 5]], UP);
+
+    moveOnce(state);
+
+    assert.strictEqual(state.gameOver, false);
+    assert.deepStrictEqual(state.snakes[0].body[0], { x: 5, y: 5 });
+});
+
+test('a tail that stays because its snake is growing is still in the way', () => {
+    const state = createEmptyGame();
+    addSnakeWithBody(state, [[4, 5], [3, 5], [2, 5]], RIGHT);
+    addSnakeWithBody(state, [[6, 4], [6, 5], [5, 5]], UP, { growing: true });
+
+    moveOnce(state);
+
+    assert.strictEqual(state.gameOver, true);
+    assert.deepStrictEqual(state.crashes, [{ snake: 0, x: 5, y: 5, hit: 'snake', otherSnake: 1 }]);
+});
+
+test('a tail that stays because its snake didn\'t move this tick is still in the way', () => {
+    const state = createEmptyGame();
+    addSnakeWithBody(state, [[4, 5], [3, 5], [2, 5]], RIGHT);
+    addSnakeWithBody(state, [[6, 4], [6, 5], [5, 5]], UP, { speed: 1000 });
+
+    moveOnce(state);
+
+    assert.strictEqual(state.gameOver, true);
+    assert.deepStrictEqual(state.snakes[1].body[2], { x: 5, y: 5 });
+    assert.deepStrictEqual(state.crashes, [{ snake: 0, x: 5, y: 5, hit: 'snake', otherSnake: 1 }]);
+});
+
+// ====== HEAD TO HEAD ======
+test('two heads moving into the same cell both crash', () => {
+    const state = createEmptyGame();
+    addSnakeWithBody(state, [[4, 5], [3, 5], [2, 5]], RIGHT);
+    addSnakeWithBody(state, [[6, 5], [7, 5], [8, 5]], LEFT);
+
+    moveOnce(state);
+
+    assert.strictEqual(state.gameOver, true);
+    assert.deepStrictEqual(state.crashes, [
+        { snake: 0, x: 5, y: 5, hit: 'snake', otherSnake: 1 },
+        { snake: 1, x: 5, y: 5, hit: 'snake', otherSnake: 0 }
+    ]);
+});
+
+test('two heads swapping cells both crash', () => {
+    const state = createEmptyGame();
+    addSnakeWithBody(state, [[4, 5], [3, 5], [2, 5]], RIGHT);
+    addSnakeWithBody(state, [[5, 5], [6, 5], [7, 5]], LEFT);
+
+    moveOnce(state);
+
+    assert.strictEqual(state.gameOver, true);
+    assert.deepStrictEqual(state.crashes, [
+        { snake: 0, x: 5, y: 5, hit: 'snake', otherSnake: 1 },
+        { snake: 1, x: 4, y: 5, hit: 'snake', otherSnake: 0 }
+    ]);
+});
+
+// ====== CRASH REPORTS ======
+test('getCrashes says what each snake ran into', () => {
+    const state = core.createGameState({ gridWidth: 20, gridHeight: 20, seed: 1, mode: 'walls' });
+    core.clearSnakes(state);
+    state.food = null;
+    // Head on its own body, head in the border, head on another snake's body
+    addSnakeWithBody(state, [[5, 5], [5, 6], [4, 6], [4, 5], [5, 5]], UP);
+    addSnakeWithBody(state, [[0, 10], [1, 10], [2, 10]], LEFT);
+    addSnakeWithBody(state, [[10, 10], [9, 10], [8, 10]], RIGHT);
+    addSnakeWithBody(state, [[9, 10], [9, 11], [9, 12]], UP);
+
+    assert.deepStrictEqual(core.getCrashes(state), [
+        { snake: 0, x: 5, y: 5, hit: 'self', otherSnake: null },
+        { snake: 1, x: 0, y: 10, hit: 'wall', otherSnake: null },
+        { snake: 3, x: 9, y: 10, hit: 'snake', otherSnake: 2 }
+    ]);
+});
+
+test('getCrashes reports nothing when no snake ran into anything', () => {
+    const state = createEmptyGame();
+    addSnakeWithBody(state, [[5, 5], [4, 5], [3, 5]], RIGHT);
+    addSnakeWithBody(state, [[5, 6], [4, 6], [3, 6]], RIGHT);
+
+    assert.deepStrictEqual(core.getCrashes(state), []);
+});
+
+// ====== OCCUPANCY GRID ======
+test('findSnakeAt answers from the grid: the first snake, skipping the excluded head and protected snakes', () => {
+    const state = createEmptyGame();
+    addSnakeWithBody(state, [[5, 5], [4, 5], [3, 5]], RIGHT, { protectedTicks: 10 });
+    addSnakeWithBody(state, [[5, 6], [5, 5], [5, 4]], UP);
+    addSnakeWithBody(state, [[5, 5], [6, 5], [7, 5]], LEFT);
+
+    assert.strictEqual(core.findSnakeAt(state, 5, 5), 1);
+    assert.strictEqual(core.findSnakeAt(state, 5, 5, 2, 0), 1);
+    assert.strictEqual(core.findSnakeAt(state, 4, 5), -1);
+    assert.strictEqual(core.findSnakeAt(state, 7, 5), 2);
+    assert.strictEqual(core.findSnakeAt(state, 7, 5, 2, 0), 2);
+    assert.strictEqual(core.findSnakeAt(state, 0, 0), -1);
+});
+
+test('the grid follows snakes as they move, grow and shrink', () => {
+    const state = core.createGameState({ gridWidth: 12, gridHeight: 10, seed: 7 });
+    let n = 0;
+    while (!state.gameOver && n++ < 5000) {
+        core.step(state, n % 53 === 0 ? { direction: [UP, LEFT, { x: 0, y: 1 }, RIGHT][n % 4] } : null);
+    }
+
+    state.occupancy.forEach((owners, index) => {
+        const expected = [];
+        state.snakes.forEach((snake, snakeIndex) => {
+            snake.body.forEach(segment => {
+                if (segment.y * state.gridWidth + segment.x === index) expected.push(snakeIndex);
+            });
+        });
+        assert.deepStrictEqual(owners.slice().sort((a, b) => a - b), expected);
+    });
+});
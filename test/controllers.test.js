@@ -0,0 +1,77 @@
+// ====== CONTROLLER TESTS ======
+// The autopilot from snake-controllers.js, steering real games made by
+// snake-core.js. Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const core = require('../snake-core.js');
+const { getController, createSnapshot } = require('../snake-controllers.js');
+
+const autopilot = getController('autopilot');
+
+// A 20x15 game with one snake of the given body ([x, y] pairs, head first) and no food
+function createGameWithSnake(body, direction, options = {}) {
+    const state = core.createGameState(Object.assign({ gridWidth: 20, gridHeight: 15, seed: 1 }, options));
+    core.clearSnakes(state);
+    const snake = core.createSnake(0, 0, direction);
+    snake.body = body.map(([x, y]) => ({ x, y }));
+    core.addSnake(state, snake);
+    state.food = null;
+    return state;
+}
+
+// Runs the game with the autopilot steering player 1 until the test says stop
+// (or maxTicks pass). Returns how many ticks it took
+function playWithAutopilot(state, isDone, maxTicks) {
+    for (let i = 0; i < maxTicks; i++) {
+        if (isDone()) return i;
+        const direction = autopilot.getDirection(createSnapshot(state), 0);
+        core.step(state, direction ? { direction: direction } : null);
+    }
+    return maxTicks;
+}
+
+// ====== FINDING FOOD ======
+test('the autopilot reaches the food on an open board', () => {
+    const state = createGameWithSnake([[5, 5], [4, 5], [3, 5]], { x: 1, y: 0 });
+    state.food = { x: 12, y: 10, type: 'apple', rotTick: 0 };
+
+    // The shortest way there is 12 moves
+    const moveTicks = core.SNAKE_SPEED / core.TICK_MS;
+    playWithAutopilot(state, () => state.fruitsEaten > 0, 12 * moveTicks);
+
+    assert.strictEqual(state.fruitsEaten, 1);
+    assert.strictEqual(state.gameOver, false);
+});
+
+test('the autopilot keeps finding food, walls and all', () => {
+    // Golden fruit doesn't spawn snakes, so there is only ever the one to steer
+    const state = createGameWithSnake([[5, 5], [4, 5], [3, 5]], { x: 1, y: 0 }, { mode: 'walls', fruits: ['golden'] });
+    state.food = core.generateFood(state);
+
+    playWithAutopilot(state, () => state.gameOver, 3000);
+
+    assert.strictEqual(state.gameOver, false);
+    assert.ok(state.fruitsEaten >= 5, `only ate ${state.fruitsEaten}`);
+});
+
+// ====== STAYING SAFE ======
+test('the autopilot turns away from a wall in front of it', () => {
+    const x = core.BORDER_WIDTH;
+    const state = createGameWithSnake([[x, 7], [x + 1, 7], [x + 2, 7]], { x: -1, y: 0 }, { mode: 'walls' });
+
+    const direction = autopilot.getDirection(createSnapshot(state), 0);
+
+    assert.ok(direction);
+    assert.strictEqual(direction.x, 0);
+});
+
+test('the autopilot doesn\'t steer into its own body when there is another way', () => {
+    // Heading up with its own body straight ahead and to the left - only right is free
+    const state = createGameWithSnake([[5, 5], [5, 6], [4, 6], [4, 5], [4, 4], [5, 4], [6, 4]], { x: 0, y: -1 });
+    state.food = { x: 1, y: 5, type: 'apple', rotTick: 0 };
+
+    const direction = autopilot.getDirection(createSnapshot(state), 0);
+
+    assert.deepStrictEqual(direction, { x: 1, y: 0 });
+});
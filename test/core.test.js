@@ -0,0 +1,439 @@
+// ====== CORE TESTS ======
+// Movement, wrapping, food pickup, spawning, levels and the seeded random generator, run through step() the same
+// way the game runs them. Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const core = require('../snake-core.js');
+const { LEVEL_TEXTS } = require('../snake-levels.js');
+
+// A game on an empty 20x15 grid with a fixed seed
+function createGame(options = {}) {
+    return core.createGameState(Object.assign({ gridWidth: 20, gridHeight: 15, seed: 1 }, options));
+}
+
+// Swaps the game's snakes for one snake with its head at (x, y), and takes the food away
+function placeSnake(state, x, y, direction = { x: 1, y: 0 }) {
+    core.clearSnakes(state);
+    const snake = core.createSnake(x, y, direction);
+    core.addSnake(state, snake);
+    state.food = null;
+    return snake;
+}
+
+// Runs one step long enough for every snake at the starting speed to move once
+function moveOnce(state, input) {
+    core.step(state, input, core.SNAKE_SPEED);
+}
+
+// ====== MOVEMENT ======
+test('a snake moves one cell in its direction and keeps its length', () => {
+    const state = createGame();
+    const snake = placeSnake(state, 5, 5);
+
+    moveOnce(state);
+
+    assert.deepStrictEqual(snake.body, [{ x: 6, y: 5 }, { x: 5, y: 5 }, { x: 4, y: 5 }]);
+    assert.strictEqual(state.gameOver, false);
+});
+
+test('moving turns the tail segment into the new head instead of making a new one', () => {
+    const state = createGame();
+    const snake = placeSnake(state, 5, 5);
+    const segments = snake.body.slice();
+
+    moveOnce(state);
+
+    assert.strictEqual(snake.body[0], segments[2]);
+    assert.deepStrictEqual(snake.body[0], { x: 6, y: 5 });
+    assert.strictEqual(snake.body[1], segments[0]);
+});
+
+test('a snake waits until its speed says it is time to move', () => {
+    const state = createGame();
+    const snake = placeSnake(state, 5, 5);
+
+    for (let i = 0; i < core.SNAKE_SPEED / core.TICK_MS - 1; i++) core.step(state);
+    assert.deepStrictEqual(snake.body[0], { x: 5, y: 5 });
+
+    core.step(state);
+    assert.deepStrictEqual(snake.body[0], { x: 6, y: 5 });
+});
+
+test('a queued turn is made on the next move, and a reverse is ignored', () => {
+    const state = createGame();
+    const snake = placeSnake(state, 5, 5);
+
+    moveOnce(state, { direction: { x: -1, y: 0 } });
+    assert.deepStrictEqual(snake.body[0], { x: 6, y: 5 });
+
+    moveOnce(state, { direction: { x: 0, y: 1 } });
+    assert.deepStrictEqual(snake.body[0], { x: 6, y: 6 });
+    assert.deepStrictEqual(snake.direction, { x: 0, y: 1 });
+});
+
+test('quick presses are kept in order and used one per move', () => {
+    const state = createGame();
+    const snake = placeSnake(state, 5, 5);
+
+    assert.strictEqual(core.queueTurn(state, { x: 0, y: -1 }), true);
+    assert.strictEqual(core.queueTurn(state, { x: -1, y: 0 }), true);
+
+    moveOnce(state);
+    assert.deepStrictEqual(snake.body[0], { x: 5, y: 4 });
+    moveOnce(state);
+    assert.deepStrictEqual(snake.body[0], { x: 4, y: 4 });
+    assert.deepStrictEqual(snake.turnQueue, []);
+});
+
+test('a turn is checked against the last queued direction, not the current one', () => {
+    const state = createGame();
+    const snake = placeSnake(state, 5, 5);
+
+    core.queueTurn(state, { x: 0, y: -1 });
+    // Down would be fine for a snake heading right, but it reverses the queued up
+    assert.strictEqual(core.queueTurn(state, { x: 0, y: 1 }), false);
+    // Left reverses the current heading, but after turning up it's a normal turn
+    assert.strictEqual(core.queueTurn(state, { x: -1, y: 0 }), true);
+    assert.deepStrictEqual(snake.turnQueue, [{ x: 0, y: -1 }, { x: -1, y: 0 }]);
+});
+
+test('no more than MAX_QUEUED_TURNS turns are kept', () => {
+    const state = createGame();
+    const snake = placeSnake(state, 5, 5);
+    const turns = [{ x: 0, y: -1 }, { x: -1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 0 }];
+
+    turns.forEach((direction, index) => {
+        assert.strictEqual(core.queueTurn(state, direction), index < core.MAX_QUEUED_TURNS);
+    });
+    assert.deepStrictEqual(snake.turnQueue, turns.slice(0, core.MAX_QUEUED_TURNS));
+});
+
+test('each snake checks a turn against its own heading', () => {
+    const state = createGame();
+    const right = placeSnake(state, 5, 5);
+    const left = core.createSnake(15, 10, { x: -1, y: 0 });
+    core.addSnake(state, left);
+
+    core.queueTurn(state, { x: 1, y: 0 });
+    assert.deepStrictEqual(right.turnQueue, []);
+    assert.deepStrictEqual(left.turnQueue, []);
+
+    moveOnce(state);
+    assert.deepStrictEqual(right.body[0], { x: 6, y: 5 });
+    assert.deepStrictEqual(left.body[0], { x: 14, y: 10 });
+});
+
+// ====== WRAPPING ======
+test('in classic mode a snake wraps around to the opposite edge', () => {
+    const state = createGame();
+    const right = placeSnake(state, 19, 5);
+    moveOnce(state);
+    assert.deepStrictEqual(right.body[0], { x: 0, y: 5 });
+
+    const up = placeSnake(state, 5, 0, { x: 0, y: -1 });
+    moveOnce(state);
+    assert.deepStrictEqual(up.body[0], { x: 5, y: 14 });
+    assert.strictEqual(state.gameOver, false);
+});
+
+test('in walls mode running into the border ends the game', () => {
+    const state = createGame({ mode: 'walls' });
+    placeSnake(state, core.BORDER_WIDTH + 1, 5, { x: -1, y: 0 });
+
+    moveOnce(state);
+    assert.strictEqual(state.gameOver, false);
+    moveOnce(state);
+    assert.strictEqual(state.gameOver, true);
+    assert.strictEqual(state.crashes[0].hit, 'wall');
+});
+
+// ====== FOOD ======
+test('eating an apple scores, grows the snake, speeds it up and spawns a snake', () => {
+    const state = createGame();
+    const snake = placeSnake(state, 5, 5);
+    state.food = { x: 6, y: 5, type: 'apple', rotTick: 0 };
+
+    moveOnce(state);
+
+    assert.strictEqual(state.points, 1);
+    assert.strictEqual(snake.body.length, 4);
+    assert.strictEqual(snake.speed, core.SNAKE_SPEED - core.SPEED_STEP);
+    assert.strictEqual(state.snakes.length, 2);
+});
+
+test('a ghost fruit lets snakes pass through each other until it wears off', () => {
+    const state = createGame();
+    placeSnake(state, 5, 5);
+    core.addSnake(state, core.createSnake(7, 3, { x: 0, y: 1 }));
+    state.food = { x: 6, y: 5, type: 'ghost', rotTick: 0 };
+
+    moveOnce(state);
+    assert.strictEqual(state.effects.ghost, core.FRUIT_TYPES.ghost.duration / core.TICK_MS - 1);
+    assert.strictEqual(state.snakes.length, 2);
+
+    // The first snake's head runs into the second snake's body
+    moveOnce(state);
+    assert.deepStrictEqual(state.snakes[0].body[0], { x: 7, y: 5 });
+    assert.strictEqual(state.gameOver, false);
+
+    state.effects.ghost = 0;
+    core.addSnake(state, core.createSnake(8, 4, { x: 0, y: -1 }));
+    moveOnce(state);
+    assert.strictEqual(state.gameOver, true);
+});
+
+test('an ice fruit makes every snake take twice as long to move', () => {
+    const state = createGame();
+    const snake = placeSnake(state, 5, 5);
+    state.food = { x: 6, y: 5, type: 'ice', rotTick: 0 };
+
+    moveOnce(state);
+    assert.ok(state.effects.slow > 0);
+
+    moveOnce(state);
+    assert.deepStrictEqual(snake.body[0], { x: 6, y: 5 });
+    moveOnce(state);
+    assert.deepStrictEqual(snake.body[0], { x: 7, y: 5 });
+
+    state.effects.slow = 0;
+    moveOnce(state);
+    assert.deepStrictEqual(snake.body[0], { x: 8, y: 5 });
+});
+
+test('a shrink fruit takes segments off, but never below the shortest length', () => {
+    const state = createGame();
+    const short = placeSnake(state, 5, 5);
+    state.food = { x: 6, y: 5, type: 'shrink', rotTick: 0 };
+    moveOnce(state);
+    assert.strictEqual(short.body.length, core.MIN_SNAKE_LENGTH);
+    assert.strictEqual(state.points, 1);
+
+    core.clearSnakes(state);
+    const long = core.createSnake(10, 5);
+    for (let x = 7; x > 2; x--) long.body.push({ x: x, y: 5 });
+    core.addSnake(state, long);
+    state.food = { x: 11, y: 5, type: 'shrink', rotTick: 0 };
+
+    moveOnce(state);
+    assert.strictEqual(long.body.length, 8 - core.FRUIT_TYPES.shrink.shrink);
+    assert.strictEqual(state.snakes.length, 1);
+    // The cells it lost are free again
+    assert.strictEqual(core.findSnakeAt(state, 4, 5), -1);
+    assert.strictEqual(core.findSnakeAt(state, 7, 5), 0);
+});
+
+test('new food appears on a free cell after one is eaten', () => {
+    const state = createGame();
+    placeSnake(state, 5, 5);
+    state.food = { x: 6, y: 5, type: 'apple', rotTick: 0 };
+
+    moveOnce(state);
+
+    const food = state.food;
+    assert.ok(food);
+    const covered = state.snakes.some(snake => snake.body.some(segment => segment.x === food.x && segment.y === food.y));
+    assert.strictEqual(covered, false);
+});
+
+test('fruit with a lifetime rots and is replaced', () => {
+    const state = createGame();
+    placeSnake(state, 5, 5);
+    const rotten = { x: 15, y: 10, type: 'golden', rotTick: state.tick + 1 };
+    state.food = rotten;
+
+    core.step(state);
+
+    assert.strictEqual(state.points, 0);
+    assert.ok(state.food);
+    assert.notStrictEqual(state.food, rotten);
+});
+
+test('food is never placed on a snake', () => {
+    const state = createGame({ gridWidth: 5, gridHeight: 5 });
+    placeSnake(state, 2, 2);
+    for (let i = 0; i < 50; i++) {
+        const food = core.generateFood(state);
+        const covered = state.snakes[0].body.some(segment => segment.x === food.x && segment.y === food.y);
+        assert.strictEqual(covered, false);
+    }
+});
+
+// ====== SPAWNING ======
+test('a spawned snake lands on free cells, out of the way of other heads', () => {
+    const state = createGame();
+    const first = placeSnake(state, 10, 7);
+    const ahead = [];
+    for (let i = 1; i <= state.rules.spawnClearance; i++) ahead.push(`${(10 + i) % 20},7`);
+
+    const spawned = core.spawnSnake(state, { x: 1, y: 0 });
+
+    assert.ok(spawned);
+    spawned.body.forEach(segment => {
+        const key = `${segment.x},${segment.y}`;
+        assert.ok(!first.body.some(part => `${part.x},${part.y}` === key), 'overlaps the first snake');
+        assert.ok(!ahead.includes(key), 'in front of the first snake');
+    });
+});
+
+test('spawning is the same every time for the same seed', () => {
+    const spawnFrom = seed => {
+        const state = createGame({ seed: seed });
+        placeSnake(state, 10, 7);
+        return core.spawnSnake(state, { x: 0, y: 1 }).body;
+    };
+    assert.deepStrictEqual(spawnFrom(42), spawnFrom(42));
+});
+
+test('spawning gives up when there is no room left', () => {
+    const state = createGame({ gridWidth: 3, gridHeight: 3 });
+    placeSnake(state, 2, 1);
+    core.addSnake(state, core.createSnake(2, 0));
+    core.addSnake(state, core.createSnake(2, 2));
+
+    assert.strictEqual(core.spawnSnake(state, { x: 1, y: 0 }), null);
+});
+
+// ====== COLLISIONS ======
+test('running into a snake ends the game', () => {
+    const state = createGame();
+    placeSnake(state, 5, 5);
+    core.addSnake(state, core.createSnake(6, 4, { x: 0, y: -1 }));
+
+    moveOnce(state);
+
+    assert.strictEqual(state.gameOver, true);
+});
+
+// ====== VERSUS ======
+test('in versus the players start a third of the way in, facing each other', () => {
+    const state = createGame({ players: 2 });
+
+    assert.deepStrictEqual(state.snakes.map(snake => [snake.player, snake.body[0], snake.direction]), [
+        [0, { x: 6, y: 7 }, { x: 1, y: 0 }],
+        [1, { x: 13, y: 7 }, { x: -1, y: 0 }]
+    ]);
+});
+
+test('versus on a grid too small for both starts is turned away', () => {
+    assert.throws(() => createGame({ players: 2, gridWidth: 6 }), /too small for both versus players/);
+    assert.throws(() => createGame({ players: 2, gridWidth: 12, mode: 'walls' }), /too small for both versus players/);
+
+    const narrow = createGame({ players: 2, gridWidth: 7 });
+    assert.doesNotThrow(() => {
+        while (!narrow.gameOver) core.step(narrow);
+    });
+});
+
+test('in versus the player whose snake didn\'t crash wins', () => {
+    const state = createGame({ players: 2 });
+    core.clearSnakes(state);
+    state.food = null;
+    core.addSnake(state, core.createSnake(5, 5, { x: 0, y: -1 }, 0));
+    core.addSnake(state, core.createSnake(4, 5, { x: 1, y: 0 }, 1));
+
+    moveOnce(state);
+
+    assert.strictEqual(state.gameOver, true);
+    assert.strictEqual(state.winner, 0);
+    assert.deepStrictEqual(state.crashes, [{ snake: 1, x: 5, y: 5, hit: 'snake', otherSnake: 0 }]);
+});
+
+test('in versus two heads meeting is a draw', () => {
+    const state = createGame({ players: 2 });
+    core.clearSnakes(state);
+    state.food = null;
+    core.addSnake(state, core.createSnake(4, 5, { x: 1, y: 0 }, 0));
+    core.addSnake(state, core.createSnake(6, 5, { x: -1, y: 0 }, 1));
+
+    moveOnce(state);
+
+    assert.strictEqual(state.gameOver, true);
+    assert.strictEqual(state.winner, null);
+    assert.strictEqual(state.crashes.length, 2);
+});
+
+// ====== RANDOMNESS ======
+test('the same seed plays out the same way', () => {
+    const playWithSeed = seed => {
+        const state = createGame({ seed: seed });
+        for (let i = 0; i < 300 && !state.gameOver; i++) {
+            moveOnce(state, i % 7 === 0 ? { direction: i % 14 === 0 ? { x: 0, y: 1 } : { x: 1, y: 0 } } : null);
+        }
+        return { snakes: state.snakes.map(snake => snake.body), food: state.food, tick: state.tick };
+    };
+    assert.deepStrictEqual(playWithSeed(42), playWithSeed(42));
+});
+
+test('a copied game plays on by itself, the same way the original does', () => {
+    const playFor = (state, ticks) => {
+        for (let i = 0; i < ticks && !state.gameOver; i++) {
+            moveOnce(state, i % 5 === 0 ? { direction: i % 10 === 0 ? { x: 0, y: 1 } : { x: 1, y: 0 } } : null);
+        }
+    };
+    const state = createGame({ seed: 3 });
+    playFor(state, 40);
+
+    const copy = core.copyGameState(state);
+    const before = JSON.stringify(state);
+    playFor(copy, 200);
+    assert.strictEqual(JSON.stringify(state), before);
+
+    playFor(state, 200);
+    assert.deepStrictEqual(copy, state);
+});
+
+// ====== LEVELS ======
+test('level text is read into walls, a start, spawn points, food zones and portals', () => {
+    const level = core.parseLevel('; name: Tiny\n######\n#..>*#\n#0%.0#\n######\n');
+
+    assert.strictEqual(level.name, 'Tiny');
+    assert.strictEqual(level.width, 6);
+    assert.strictEqual(level.height, 4);
+    assert.strictEqual(level.walls.length, 16);
+    assert.deepStrictEqual(level.start, { x: 3, y: 1, direction: { x: 1, y: 0 } });
+    assert.deepStrictEqual(level.spawnPoints, [{ x: 4, y: 1 }]);
+    assert.deepStrictEqual(level.foodZones, [{ x: 2, y: 2 }]);
+    assert.deepStrictEqual(level.portals, [{ a: { x: 1, y: 2 }, b: { x: 4, y: 2 } }]);
+});
+
+test('short rows are padded with floor, and a level may leave out the start', () => {
+    const level = core.parseLevel('####\n#\n####\n', 'Ragged');
+
+    assert.strictEqual(level.name, 'Ragged');
+    assert.strictEqual(level.width, 4);
+    assert.deepStrictEqual(level.walls, [0, 1, 2, 3, 4, 8, 9, 10, 11]);
+    assert.strictEqual(level.start, null);
+});
+
+test('broken level text is turned away with a reason', () => {
+    const broken = {
+        '##\n##\n': /at least 3 cells/,
+        '###\n###\n###\n': /no floor/,
+        '.....\n.1...\n.....\n': /Portal 1 needs exactly 2 cells, found 1/,
+        '.....\n.111.\n.....\n': /Portal 1 needs exactly 2 cells, found 3/,
+        '.....\n.>.<.\n.....\n': /more than one start/,
+        '.....\n.>...\n.....\n': /2 free cells behind it/,
+        '.....\n..#>.\n.....\n': /2 free cells behind it/,
+        '.....\n..x..\n.....\n': /Unknown level tile "x"/
+    };
+    Object.keys(broken).forEach(text => {
+        assert.throws(() => core.parseLevel(text), broken[text], text);
+    });
+});
+
+test('every built-in level survives a trip through levelToText and back', () => {
+    LEVEL_TEXTS.forEach(text => {
+        const level = core.parseLevel(text);
+        assert.deepStrictEqual(core.parseLevel(core.levelToText(level)), level);
+    });
+});
+
+test('portal pairs are renumbered from 0 when written out', () => {
+    const level = core.parseLevel('.......\n.3..>3.\n.7...7.\n');
+    const text = core.levelToText(level);
+
+    assert.ok(text.includes('.0..>0.'));
+    assert.ok(text.includes('.1...1.'));
+    assert.deepStrictEqual(core.parseLevel(text, level.name), level);
+});
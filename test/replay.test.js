@@ -0,0 +1,104 @@
+// ====== REPLAY TESTS ======
+// A run recorded with snake-replay.js, saved as JSON and played back has to
+// end exactly where the original run did. Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const core = require('../snake-core.js');
+const replays = require('../snake-replay.js');
+const { getController, createSnapshot } = require('../snake-controllers.js');
+const { LEVEL_TEXTS } = require('../snake-levels.js');
+
+// Plays a game for up to maxTicks ticks with the autopilot steering every
+// player, recording it as it goes. Returns the finished game and its recording
+function playAndRecord(options, maxTicks = 3000) {
+    const state = core.createGameState(Object.assign({ gridWidth: 20, gridHeight: 15, seed: 5 }, options));
+    const replay = replays.createReplay(state);
+    const autopilot = getController('autopilot');
+
+    while (!state.gameOver && state.tick < maxTicks) {
+        const snapshot = createSnapshot(state);
+        const turns = [];
+        for (let player = 0; player < state.rules.players; player++) {
+            const direction = autopilot.getDirection(snapshot, player);
+            if (direction) turns.push({ player: player, direction: direction });
+        }
+        const input = turns.length > 0 ? { turns: turns } : null;
+        replays.recordStep(replay, state.tick, input);
+        core.step(state, input);
+    }
+    return { state, replay };
+}
+
+// Loads a recording the way the game does (through a JSON file) and plays it to the end
+function playBack(replay) {
+    const loaded = replays.validateReplay(JSON.parse(JSON.stringify(replay)));
+    const state = replays.createReplayGame(loaded);
+    let eventIndex = 0;
+    for (let i = 0; i < loaded.tickCount; i++) {
+        eventIndex = replays.stepReplay(state, loaded, eventIndex);
+    }
+    return state;
+}
+
+// The parts of a game a replay has to reproduce
+function summarize(state) {
+    return {
+        tick: state.tick,
+        gameOver: state.gameOver,
+        points: state.points,
+        food: state.food,
+        snakes: state.snakes.map(snake => ({ player: snake.player, body: snake.body }))
+    };
+}
+
+// ====== ROUND TRIPS ======
+test('a classic game plays back to the same end', () => {
+    const { state, replay } = playAndRecord({});
+    assert.ok(state.points > 0);
+    assert.deepStrictEqual(summarize(playBack(replay)), summarize(state));
+});
+
+test('a versus game plays back to the same end', () => {
+    const { state, replay } = playAndRecord({ players: 2 });
+    assert.ok(replay.events.some(event => event.player === 1));
+    assert.deepStrictEqual(summarize(playBack(replay)), summarize(state));
+});
+
+test('a game on a level plays back to the same end', () => {
+    const level = core.parseLevel(LEVEL_TEXTS[0]);
+    const { state, replay } = playAndRecord({ level: level, mode: 'walls' });
+    assert.deepStrictEqual(summarize(playBack(replay)), summarize(state));
+});
+
+// ====== LOADING ======
+// A short valid recording to break in different ways
+function createTestReplay(options) {
+    return JSON.parse(JSON.stringify(playAndRecord(options, 10).replay));
+}
+
+test('a replay with a missing or broken level is turned away', () => {
+    const missing = createTestReplay({});
+    delete missing.settings.level;
+    assert.throws(() => replays.validateReplay(missing), /level/);
+
+    const notALevel = createTestReplay({});
+    notALevel.settings.level = 'Pillars';
+    assert.throws(() => replays.validateReplay(notALevel), /level/);
+
+    const noWalls = createTestReplay({ level: core.parseLevel(LEVEL_TEXTS[0]) });
+    delete noWalls.settings.level.walls;
+    assert.throws(() => replays.validateReplay(noWalls), /level/);
+
+    const wallOutside = createTestReplay({ level: core.parseLevel(LEVEL_TEXTS[0]) });
+    wallOutside.settings.level.walls.push(100000);
+    assert.throws(() => replays.validateReplay(wallOutside), /level/);
+});
+
+test('a replay with an impossible number of players is turned away', () => {
+    [0, 3, 1.5, '2', undefined].forEach(players => {
+        const replay = createTestReplay({});
+        replay.settings.players = players;
+        assert.throws(() => replays.validateReplay(replay), /players/);
+    });
+});